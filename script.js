@@ -96,368 +96,3472 @@ function getUserName() {
   return localStorage.getItem('photoshare_name') || null;
 }
 
-async function fetchWithAuth(path, options = {}) {
-  const token = getToken();
-  const headers = new Headers(options.headers || {});
+function getRefreshToken() {
+  return localStorage.getItem('photoshare_refresh_token') || null;
+}
 
-  if (!(options.body instanceof FormData)) {
-    headers.set('Content-Type', 'application/json');
-    if (options.body && typeof options.body !== 'string') {
-      options.body = JSON.stringify(options.body);
-    }
+function setRefreshToken(token) {
+  if (token) {
+    localStorage.setItem('photoshare_refresh_token', token);
+  } else {
+    localStorage.removeItem('photoshare_refresh_token');
   }
+}
 
-  if (token) {
-    headers.set('Authorization', `Bearer ${token}`);
+function getCachedUser() {
+  const id = localStorage.getItem('photoshare_user_id');
+  if (!id) return null;
+  return { id, name: getUserName(), role: getUserRole() };
+}
+
+class ApiError extends Error {
+  constructor(message, { status = 0, payload = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.payload = payload;
+    if (cause) this.cause = cause;
   }
+}
 
-  const response = await fetch(`${API_BASE}${path}`, {
-    ...options,
-    headers,
-  });
+class NetworkError extends ApiError {
+  constructor(message = 'Unable to reach the server. Check your connection.', options = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
 
-  if (response.status === 401) {
-    logout();
-    window.location.href = 'login.html';
-    return Promise.reject(new Error('Unauthorized'));
+class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.fields = options.payload?.errors || null;
   }
+}
 
-  return response;
+class AuthError extends ApiError {
+  constructor(message = 'Unauthorized', options = {}) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
 }
 
-async function uploadImageFile(file) {
-  if (!file) {
-    throw new Error('Please select a photo to upload.');
+class ServerError extends ApiError {
+  constructor(message = 'Something went wrong on our side. Please try again.', options = {}) {
+    super(message, options);
+    this.name = 'ServerError';
   }
+}
 
-  const formData = new FormData();
-  formData.append('image', file);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD']);
+const API_RETRY_LIMIT = 2;
+const API_RETRY_BASE_DELAY = 300;
 
-  const res = await fetchWithAuth('/photos/upload-image', {
-    method: 'POST',
-    body: formData,
-  });
+function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
 
-  let payload = {};
-  try {
-    payload = await res.json();
-  } catch (error) {
-    // ignore parse errors, handled below
-  }
+function createAbortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+function waitFor(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-  if (!res.ok || !payload?.imageUrl) {
-    throw new Error(payload?.message || 'Image upload failed');
+function readErrorMessage(payload, fallback) {
+  if (payload && typeof payload === 'object') {
+    return payload.message || payload.error || fallback;
   }
+  return fallback;
+}
 
-  return payload.imageUrl;
+function createApiError(status, payload, fallbackMessage) {
+  const message = readErrorMessage(payload, fallbackMessage);
+  const options = { status, payload };
+  if (status === 401 || status === 403) return new AuthError(message, options);
+  if (status === 400 || status === 409 || status === 422) return new ValidationError(message, options);
+  if (status >= 500) return new ServerError(message, options);
+  return new ApiError(message, options);
 }
 
-async function createPhotoRecord({ title, caption, location, people, imageUrl }) {
-  const res = await fetchWithAuth('/photos', {
-    method: 'POST',
-    body: {
-      title,
-      caption,
-      location,
-      people,
-      imageUrl,
-    },
-  });
+function isRetryableError(error) {
+  return error instanceof NetworkError || error instanceof ServerError || error?.status === 429;
+}
 
-  let payload;
+async function parseResponseBody(res) {
+  if (res.status === 204) return null;
+  const text = await res.text();
+  if (!text) return null;
   try {
-    payload = await res.json();
+    return JSON.parse(text);
   } catch (error) {
-    throw new Error('Unexpected response from server');
+    return undefined;
   }
+}
 
-  if (!res.ok) {
-    throw new Error(payload?.message || 'Photo creation failed');
+function buildApiHeaders({ headers, body, auth }) {
+  const result = new Headers(headers || {});
+  if (!result.has('Accept')) {
+    result.set('Accept', 'application/json');
   }
-
-  return payload;
+  if (body !== undefined && !(body instanceof FormData)) {
+    result.set('Content-Type', 'application/json');
+  }
+  const token = auth ? getToken() : null;
+  if (token) {
+    result.set('Authorization', `Bearer ${token}`);
+  }
+  return result;
 }
 
-function setupLocationAutocomplete(inputEl, suggestionsEl) {
-  if (!inputEl || !suggestionsEl) return null;
+function sendWithProgress(url, { method, headers, body, signal }, onProgress) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
 
-  let timeout;
-  let results = [];
-  let selectedValue = inputEl.value.trim();
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    xhr.open(method, url);
+    headers.forEach((value, key) => xhr.setRequestHeader(key, value));
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) onProgress(event.loaded / event.total);
+    });
+    xhr.addEventListener('load', () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(new Response(xhr.responseText || null, { status: xhr.status }));
+    });
+    xhr.addEventListener('error', () => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(new TypeError('Network request failed'));
+    });
+    xhr.addEventListener('abort', () => reject(createAbortError()));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    xhr.send(body ?? null);
+  });
+}
 
-  const clearSuggestions = () => {
-    suggestionsEl.innerHTML = '';
-    suggestionsEl.classList.add('hidden');
-    results = [];
+async function sendApiRequest(path, options) {
+  const {
+    method,
+    body,
+    headers,
+    auth,
+    signal,
+    cache,
+    keepalive,
+    errorMessage,
+    onProgress,
+    isReplay = false,
+  } = options;
+  const url = /^https?:\/\//.test(path) ? path : `${API_BASE}${path}`;
+  const sentToken = auth ? getToken() : null;
+  const init = {
+    method,
+    cache,
+    keepalive,
+    signal,
+    headers: buildApiHeaders({ headers, body, auth }),
+    body: body === undefined || body instanceof FormData || typeof body === 'string'
+      ? body
+      : JSON.stringify(body),
   };
+  let res;
+  try {
+    res = onProgress ? await sendWithProgress(url, init, onProgress) : await fetch(url, init);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new NetworkError(undefined, { cause: error });
+  }
 
-  const renderSuggestions = (items) => {
-    if (!items.length) {
-      clearSuggestions();
-      return;
+  const payload = await parseResponseBody(res);
+
+  if (res.status === 401 && sentToken) {
+    if (isReplay) {
+      expireSession();
+      throw new AuthError(readErrorMessage(payload, 'Unauthorized'), { status: 401, payload });
     }
+    if (getToken() === sentToken) {
+      await refreshSession();
+    }
+    return sendApiRequest(path, { ...options, isReplay: true });
+  }
 
-    suggestionsEl.innerHTML = items
-      .map(
-        (item, index) => `
-          <div class="suggestion-item" data-index="${index}">
-            <img
-              src="${escapeHtml(item.avatarUrl || DEFAULT_AVATAR)}"
-              alt="${escapeHtml(item.name)}"
-              class="avatar-xs"
-            />
-            <span>${escapeHtml(item.name)}</span>
-          </div>
-        `,
-      )
-      .join('');
-    suggestionsEl.classList.remove('hidden');
-  };
+  if (!res.ok) {
+    throw createApiError(res.status, payload, errorMessage);
+  }
+
+  if (payload === undefined) {
+    throw new ApiError('Unexpected response from server', { status: res.status });
+  }
 
-  const fetchSuggestions = async (query) => {
+  return payload;
+}
+
+async function apiRequest(path, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const {
+    body,
+    headers,
+    signal,
+    cache,
+    keepalive,
+    onProgress,
+    auth = true,
+    errorMessage = 'Request failed',
+    retries = IDEMPOTENT_METHODS.has(method) ? API_RETRY_LIMIT : 0,
+  } = options;
+
+  let attempt = 0;
+  while (true) {
     try {
-      const url = new URL('https://nominatim.openstreetmap.org/search');
-      url.searchParams.set('q', query);
-      url.searchParams.set('format', 'json');
-      url.searchParams.set('limit', '7');
-      url.searchParams.set('addressdetails', '0');
-
-      const res = await fetch(url.toString(), {
-        headers: {
-          Accept: 'application/json',
-        },
+      return await sendApiRequest(path, {
+        method,
+        body,
+        headers,
+        auth,
+        signal,
+        cache,
+        keepalive,
+        errorMessage,
+        onProgress,
       });
-      if (!res.ok) {
-        clearSuggestions();
-        return;
-      }
-      const data = await res.json();
-      results = (data || []).map((item) => ({
-        id: item.place_id,
-        name: item.display_name,
-      }));
-      renderSuggestions(results);
     } catch (error) {
-      clearSuggestions();
-    }
-  };
-
-  inputEl.addEventListener('input', () => {
-    selectedValue = inputEl.value.trim();
-    const value = inputEl.value.trim();
-    if (timeout) clearTimeout(timeout);
-    if (value.length < 2) {
-      clearSuggestions();
-      return;
+      if (isAbortError(error) || attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = API_RETRY_BASE_DELAY * 2 ** attempt + Math.random() * API_RETRY_BASE_DELAY;
+      attempt += 1;
+      await waitFor(delay, signal);
     }
-    timeout = setTimeout(() => fetchSuggestions(value), 250);
-  });
+  }
+}
 
-  suggestionsEl.addEventListener('mousedown', (event) => {
-    const item = event.target.closest('.suggestion-item');
-    if (!item) return;
-    const index = Number(item.dataset.index);
-    const suggestion = results[index];
-    if (suggestion) {
-      selectedValue = suggestion.name;
-      inputEl.value = suggestion.name;
-      clearSuggestions();
-    }
-  });
+const api = {
+  get(path, options = {}) {
+    return apiRequest(path, { ...options, method: 'GET' });
+  },
+  post(path, body, options = {}) {
+    return apiRequest(path, { ...options, method: 'POST', body });
+  },
+  put(path, body, options = {}) {
+    return apiRequest(path, { ...options, method: 'PUT', body });
+  },
+  patch(path, body, options = {}) {
+    return apiRequest(path, { ...options, method: 'PATCH', body });
+  },
+  delete(path, options = {}) {
+    return apiRequest(path, { ...options, method: 'DELETE' });
+  },
+};
 
-  inputEl.addEventListener('blur', () => {
-    setTimeout(() => {
-      clearSuggestions();
-    }, 150);
-  });
+const SESSION_WARNING_LEAD = 2 * 60 * 1000;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+let refreshPromise = null;
+let sessionWarningTimer = null;
+let sessionCountdownTimer = null;
 
-  return {
-    getValue() {
-      return selectedValue || inputEl.value.trim();
-    },
-    reset() {
-      selectedValue = '';
-      inputEl.value = '';
-      clearSuggestions();
-    },
-  };
+function decodeTokenExpiry(token) {
+  try {
+    const [, segment] = token.split('.');
+    const claims = JSON.parse(atob(segment.replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
 }
 
-function setupPeopleSelector({ inputEl, suggestionsEl, containerEl }) {
-  if (!inputEl || !suggestionsEl || !containerEl) return null;
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = performTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
 
-  let selected = [];
-  let timeout;
-  let results = [];
+async function performTokenRefresh() {
+  const refreshToken = getRefreshToken();
+  const expiredError = new AuthError('Your session has expired. Please log in again.', {
+    status: 401,
+  });
+  if (!refreshToken) {
+    expireSession();
+    throw expiredError;
+  }
 
-  const renderSelected = () => {
-    if (!selected.length) {
-      containerEl.innerHTML = '';
-      return;
+  let data;
+  try {
+    data = await api.post(
+      '/auth/refresh',
+      { refreshToken },
+      { auth: false, cache: 'no-store', errorMessage: 'Session expired' },
+    );
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof ValidationError) {
+      expireSession();
+      throw expiredError;
     }
+    throw error;
+  }
 
-    containerEl.innerHTML = selected
-      .map(
-        (person) => `
-          <span class="chip" data-id="${person.id}">
-            <img
-              src="${escapeHtml(person.avatarUrl || DEFAULT_AVATAR)}"
-              alt="${escapeHtml(person.name)}"
-              class="avatar-xs"
-            />
-            <span>${escapeHtml(person.name)}</span>
-            <button type="button" data-action="remove" data-id="${person.id}">×</button>
-          </span>
-        `,
-      )
-      .join('');
-  };
+  if (!data?.token) {
+    expireSession();
+    throw expiredError;
+  }
 
-  const clearSuggestions = () => {
-    suggestionsEl.innerHTML = '';
-    suggestionsEl.classList.add('hidden');
-    results = [];
-  };
+  setToken(data.token);
+  if (data.refreshToken) {
+    setRefreshToken(data.refreshToken);
+  }
+  scheduleSessionWarning();
+  return data.token;
+}
 
-  const renderSuggestions = (items) => {
-    if (!items.length) {
-      clearSuggestions();
+function getSessionBanner() {
+  let banner = document.getElementById('session-banner');
+  if (banner) return banner;
+
+  banner = document.createElement('div');
+  banner.id = 'session-banner';
+  banner.className = 'session-banner hidden';
+  banner.setAttribute('role', 'status');
+  banner.setAttribute('aria-live', 'polite');
+  banner.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    if (button.dataset.action === 'dismiss-session-banner') {
+      hideSessionBanner();
       return;
     }
-
-    suggestionsEl.innerHTML = items
-      .map(
-        (item, index) => `
-          <div class="suggestion-item" data-index="${index}">
-            <img
-              src="${escapeHtml(item.avatarUrl || DEFAULT_AVATAR)}"
-              alt="${escapeHtml(item.name)}"
-              class="avatar-xs"
-            />
-            <span>${escapeHtml(item.name)}</span>
-          </div>
-        `,
-      )
-      .join('');
-    suggestionsEl.classList.remove('hidden');
-  };
-
-  const fetchSuggestions = async (query) => {
-    try {
-      const res = await fetchWithAuth(`/users/search?q=${encodeURIComponent(query)}`, {
-        method: 'GET',
-      });
-      if (!res.ok) {
-        clearSuggestions();
-        return;
+    if (button.dataset.action === 'refresh-session') {
+      try {
+        button.disabled = true;
+        await refreshSession();
+      } catch (error) {
+        if (!(error instanceof AuthError)) {
+          const message = banner.querySelector('.session-banner-message');
+          if (message) message.textContent = error.message;
+        }
+      } finally {
+        button.disabled = false;
       }
-      const data = await res.json();
-      const selectedIds = new Set(selected.map((person) => person.id));
-      results = (data || [])
-        .filter((person) => !selectedIds.has(person.id) && person.id !== currentUser?.id)
-        .map((person) => ({
-          ...person,
-          avatarUrl: person.avatarUrl || DEFAULT_AVATAR,
-        }));
-      renderSuggestions(results);
-    } catch (error) {
-      clearSuggestions();
-    }
-  };
-
-  inputEl.addEventListener('input', () => {
-    const value = inputEl.value.trim();
-    if (timeout) clearTimeout(timeout);
-    if (value.length < 2) {
-      clearSuggestions();
-      return;
     }
-    timeout = setTimeout(() => fetchSuggestions(value), 200);
   });
+  banner.dataset.persist = 'true';
+  document.body.appendChild(banner);
+  return banner;
+}
 
-  suggestionsEl.addEventListener('mousedown', (event) => {
-    const item = event.target.closest('.suggestion-item');
-    if (!item) return;
-    const index = Number(item.dataset.index);
-    const selection = results[index];
-    if (selection) {
-      selected.push(selection);
-      renderSelected();
-      inputEl.value = '';
-      clearSuggestions();
+function hideSessionBanner() {
+  clearInterval(sessionCountdownTimer);
+  document.getElementById('session-banner')?.classList.add('hidden');
+}
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+function showSessionExpiringWarning(expiresAt) {
+  const banner = getSessionBanner();
+  const canRefresh = Boolean(getRefreshToken());
+  banner.innerHTML = `
+    <span class="session-banner-message"></span>
+    <div class="session-banner-actions">
+      ${canRefresh
+        ? '<button type="button" class="btn btn-primary" data-action="refresh-session">Stay signed in</button>'
+        : ''}
+      <button type="button" class="btn btn-ghost" data-action="dismiss-session-banner">Dismiss</button>
+    </div>
+  `;
+  banner.classList.remove('hidden');
+
+  const message = banner.querySelector('.session-banner-message');
+  const tick = () => {
+    const remaining = expiresAt - Date.now();
+    if (remaining <= 0) {
+      clearInterval(sessionCountdownTimer);
+      message.textContent = canRefresh
+        ? 'Your session has expired. It will be renewed on your next action.'
+        : 'Your session has expired. Save your work and log in again.';
+      return;
     }
-  });
+    message.textContent = canRefresh
+      ? `Your session expires in ${formatCountdown(remaining)}.`
+      : `Your session expires in ${formatCountdown(remaining)}. Save your work and log in again.`;
+  };
+  clearInterval(sessionCountdownTimer);
+  tick();
+  sessionCountdownTimer = setInterval(tick, 1000);
+}
 
-  containerEl.addEventListener('click', (event) => {
-    const button = event.target.closest('button[data-action="remove"]');
-    if (!button) return;
-    const { id } = button.dataset;
-    selected = selected.filter((person) => person.id !== id);
-    renderSelected();
-  });
+function showSessionExpiredNotice() {
+  const banner = getSessionBanner();
+  const next = `${window.location.pathname.split('/').pop() || 'index.html'}${window.location.search}`;
+  banner.innerHTML = `
+    <span class="session-banner-message">
+      Your session has ended. Copy anything you were writing, then log in again.
+    </span>
+    <div class="session-banner-actions">
+      <a class="btn btn-primary" href="login.html?next=${encodeURIComponent(next)}">Log in</a>
+    </div>
+  `;
+  clearInterval(sessionCountdownTimer);
+  banner.classList.remove('hidden');
+}
 
-  inputEl.addEventListener('blur', () => {
-    setTimeout(() => {
-      clearSuggestions();
-    }, 150);
-  });
+function scheduleSessionWarning() {
+  clearTimeout(sessionWarningTimer);
+  hideSessionBanner();
+  const token = getToken();
+  const expiresAt = token ? decodeTokenExpiry(token) : null;
+  if (!expiresAt) return;
 
-  return {
-    getSelectedIds() {
-      return selected.map((person) => person.id);
-    },
-    reset() {
-      selected = [];
-      renderSelected();
-      clearSuggestions();
-      inputEl.value = '';
-    },
-  };
+  const delay = expiresAt - SESSION_WARNING_LEAD - Date.now();
+  sessionWarningTimer = setTimeout(() => {
+    if (expiresAt - SESSION_WARNING_LEAD > Date.now()) {
+      scheduleSessionWarning();
+      return;
+    }
+    showSessionExpiringWarning(expiresAt);
+  }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
 }
 
-function logout() {
+function clearSession() {
   setToken(null);
+  setRefreshToken(null);
   setUserRole(null);
   setUserName(null);
   currentUser = null;
-  window.location.href = 'login.html';
+  clearTimeout(sessionWarningTimer);
+  clearInterval(sessionCountdownTimer);
+  stopNotificationPolling();
+  viewerCollectionsRequest = null;
+  clearDataCache();
 }
 
-function updateNavigationVisibility() {
-  const role = getUserRole();
-  const token = getToken();
-  const loginLink = document.getElementById('login-link');
-  const signupLink = document.getElementById('signup-link');
-  const logoutBtn = document.getElementById('logout-btn');
-
-  const guestElements = document.querySelectorAll('[data-visible="guest"]');
-  const authElements = document.querySelectorAll('[data-visible="auth"]');
-  const creatorElements = document.querySelectorAll('[data-role="creator"]');
-
-  guestElements.forEach((el) => el.classList.toggle('hidden', Boolean(token)));
-  authElements.forEach((el) => el.classList.toggle('hidden', !token));
-  creatorElements.forEach((el) => el.classList.toggle('hidden', role !== 'creator'));
+function expireSession() {
+  if (!getToken()) return;
+  clearSession();
+  updateNavigationVisibility();
+  showSessionExpiredNotice();
+}
 
-  if (loginLink && !loginLink.hasAttribute('data-visible')) {
-    loginLink.classList.toggle('hidden', Boolean(token));
+function getSafeRedirect(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, window.location.href);
+    if (url.origin !== window.location.origin) return null;
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch (error) {
+    return null;
   }
-  if (signupLink && !signupLink.hasAttribute('data-visible')) {
-    signupLink.classList.toggle('hidden', Boolean(token));
+}
+
+async function uploadImageFile(file, { signal, onProgress } = {}) {
+  if (!file) {
+    throw new ValidationError('Please select a photo to upload.');
   }
-  if (logoutBtn && !logoutBtn.hasAttribute('data-visible')) {
-    logoutBtn.classList.toggle('hidden', !token);
+
+  const formData = new FormData();
+  formData.append('image', file);
+
+  const payload = await api.post('/photos/upload-image', formData, {
+    signal,
+    onProgress,
+    errorMessage: 'Image upload failed',
+  });
+  if (!payload?.imageUrl) {
+    throw new ApiError('Image upload failed');
   }
+
+  return payload.imageUrl;
 }
 
-function buildLocationMarkup(location) {
-  if (!location) return '';
-  return `<div class="location-pill">📍 ${escapeHtml(location)}</div>`;
+function buildPhotoPayload({ title, caption, location, coordinates, people, mentions, publishAt }) {
+  return {
+    title,
+    caption,
+    location,
+    ...(coordinates ? { coordinates } : {}),
+    people,
+    mentions: mentions || [],
+    tags: parseHashtags(caption),
+    ...(publishAt ? { publishAt } : {}),
+  };
 }
 
-function buildPeopleMarkup(people) {
-  if (!Array.isArray(people) || people.length === 0) return '';
-  const links = people
-    .filter((person) => person && (person.userId || person.user?._id || person.user?.id))
+function createIdempotencyKey() {
+  return (
+    window.crypto?.randomUUID?.() ||
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+  );
+}
+
+function createPhotoRecord(fields, { signal, idempotencyKey } = {}) {
+  return api.post(
+    '/photos',
+    { ...buildPhotoPayload(fields), imageUrl: fields.imageUrl },
+    {
+      signal,
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+      errorMessage: 'Photo creation failed',
+    },
+  );
+}
+
+function updatePhotoRecord(photoId, fields, { signal } = {}) {
+  return api.patch(
+    `/photos/${encodeURIComponent(photoId)}`,
+    { ...buildPhotoPayload(fields), ...(fields.imageUrl ? { imageUrl: fields.imageUrl } : {}) },
+    { signal, errorMessage: 'Unable to update photo' },
+  );
+}
+
+function deletePhotoRecord(photoId, { keepalive } = {}) {
+  return api.delete(`/photos/${encodeURIComponent(photoId)}`, {
+    keepalive,
+    errorMessage: 'Unable to delete photo',
+  });
+}
+
+function reschedulePhoto(photoId, publishAt) {
+  return api.patch(
+    `/photos/${encodeURIComponent(photoId)}`,
+    { publishAt },
+    { errorMessage: 'Unable to reschedule photo' },
+  );
+}
+
+function publishPhotoNow(photoId) {
+  return api.post(`/photos/${encodeURIComponent(photoId)}/publish`, {}, {
+    errorMessage: 'Unable to publish photo',
+  });
+}
+
+function isScheduledPhoto(photo) {
+  if (photo?.status === 'scheduled') return true;
+  const time = new Date(photo?.publishAt).getTime();
+  return Number.isFinite(time) && time > Date.now();
+}
+
+function getLocalTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+function listTimeZones() {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return Array.from(new Set([getLocalTimeZone(), 'UTC', ...zones]));
+}
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  return Object.fromEntries(
+    parts.filter((part) => part.type !== 'literal').map((part) => [part.type, Number(part.value)]),
+  );
+}
+
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function zonedInputToDate(value, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value || '');
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map((part) => Number(part || 0));
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wallTime - getTimeZoneOffset(new Date(wallTime), timeZone);
+  return new Date(wallTime - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+function dateToZonedInput(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+function formatPublishTime(value, timeZone) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const formatted = date.toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    ...(timeZone ? { timeZone } : {}),
+  });
+  return timeZone && timeZone !== getLocalTimeZone() ? `${formatted} (${timeZone})` : formatted;
+}
+
+function formatTimeUntil(value) {
+  const totalSeconds = Math.floor((new Date(value).getTime() - Date.now()) / 1000);
+  if (!Number.isFinite(totalSeconds)) return '';
+  if (totalSeconds <= 0) return 'any moment now';
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (days) return `in ${days}d ${hours}h`;
+  if (hours) return `in ${hours}h ${String(minutes).padStart(2, '0')}m`;
+  return `in ${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function renderScheduleFields() {
+  return `
+    <div class="schedule-fields" data-schedule="fields">
+      <label>
+        Publish at
+        <input type="datetime-local" data-schedule="datetime" required />
+      </label>
+      <label>
+        Time zone
+        <select data-schedule="timezone"></select>
+      </label>
+    </div>
+    <p class="muted small" data-schedule="summary"></p>
+  `;
+}
+
+function setupSchedulePicker(root, { onChange } = {}) {
+  const dateInput = root?.querySelector('[data-schedule="datetime"]');
+  const zoneSelect = root?.querySelector('[data-schedule="timezone"]');
+  if (!dateInput || !zoneSelect) return null;
+
+  const toggle = root.querySelector('[data-schedule="enabled"]');
+  const fieldsEl = root.querySelector('[data-schedule="fields"]');
+  const summaryEl = root.querySelector('[data-schedule="summary"]');
+  const localZone = getLocalTimeZone();
+
+  zoneSelect.innerHTML = listTimeZones()
+    .map((zone) => {
+      const label = zone === localZone ? `${zone} (your time)` : zone;
+      return `<option value="${escapeHtml(zone)}">${escapeHtml(label)}</option>`;
+    })
+    .join('');
+  zoneSelect.value = localZone;
+
+  const isScheduled = () => !toggle || toggle.checked;
+  const getDate = () => zonedInputToDate(dateInput.value, zoneSelect.value);
+
+  const update = () => {
+    const scheduled = isScheduled();
+    fieldsEl?.classList.toggle('hidden', !scheduled);
+    dateInput.min = dateToZonedInput(new Date(), zoneSelect.value);
+    if (summaryEl) {
+      const date = scheduled ? getDate() : null;
+      if (!date) {
+        summaryEl.textContent = '';
+      } else if (date.getTime() <= Date.now()) {
+        summaryEl.textContent = 'That time has already passed.';
+      } else {
+        summaryEl.textContent = `Publishes ${formatPublishTime(date)} your time (${formatTimeUntil(date)}).`;
+      }
+    }
+    onChange?.(scheduled);
+  };
+
+  toggle?.addEventListener('change', () => {
+    update();
+    if (toggle.checked) dateInput.focus();
+  });
+  dateInput.addEventListener('input', update);
+  zoneSelect.addEventListener('change', update);
+  update();
+
+  return {
+    isScheduled,
+    getPublishAt() {
+      if (!isScheduled()) return null;
+      const date = getDate();
+      if (!date) {
+        throw new ValidationError('Choose a date and time to publish.');
+      }
+      if (date.getTime() <= Date.now()) {
+        throw new ValidationError('Choose a publish time in the future.');
+      }
+      return date.toISOString();
+    },
+    setPublishAt(value, timeZone = zoneSelect.value) {
+      const date = new Date(value);
+      if (toggle) toggle.checked = !Number.isNaN(date.getTime());
+      zoneSelect.value = timeZone;
+      if (!zoneSelect.value) zoneSelect.value = localZone;
+      dateInput.value = Number.isNaN(date.getTime()) ? '' : dateToZonedInput(date, zoneSelect.value);
+      update();
+    },
+    reset() {
+      if (toggle) toggle.checked = false;
+      dateInput.value = '';
+      zoneSelect.value = localZone;
+      update();
+    },
+  };
+}
+
+const IMAGE_PROCESSING_DEFAULTS = {
+  maxEdge: 2560,
+  format: 'image/webp',
+  quality: 0.85,
+  keepMetadata: false,
+};
+const PASSTHROUGH_IMAGE_TYPES = new Set(['image/gif', 'image/svg+xml']);
+const processedImageCache = new WeakMap();
+
+function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function readExif(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+    const segmentLength = view.getUint16(offset + 2);
+    const isExif =
+      marker === 0xffe1 &&
+      offset + 10 <= view.byteLength &&
+      view.getUint32(offset + 4) === 0x45786966 &&
+      view.getUint16(offset + 8) === 0;
+    if (isExif) {
+      return parseTiff(view, offset + 10, {
+        start: offset,
+        length: segmentLength + 2,
+      });
+    }
+    offset += 2 + segmentLength;
+  }
+  return null;
+}
+
+function readChunkType(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
+
+function hasEmbeddedMetadata(buffer, type) {
+  const view = new DataView(buffer);
+  if (type === 'image/jpeg') {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return true;
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00) return true;
+      if (marker === 0xffda) return false;
+      if (marker === 0xffe1 || marker === 0xffed) return true;
+      offset += 2 + view.getUint16(offset + 2);
+    }
+    return false;
+  }
+
+  if (type === 'image/png') {
+    if (view.byteLength < 8 || view.getUint32(0) !== 0x89504e47) return true;
+    let offset = 8;
+    while (offset + 8 <= view.byteLength) {
+      const chunk = readChunkType(view, offset + 4);
+      if (['eXIf', 'tEXt', 'zTXt', 'iTXt'].includes(chunk)) return true;
+      if (chunk === 'IEND') return false;
+      offset += 12 + view.getUint32(offset);
+    }
+    return false;
+  }
+
+  if (type === 'image/webp') {
+    if (view.byteLength < 12 || readChunkType(view, 0) !== 'RIFF' || readChunkType(view, 8) !== 'WEBP') {
+      return true;
+    }
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const chunk = readChunkType(view, offset);
+      if (chunk === 'EXIF' || chunk === 'XMP ') return true;
+      const size = view.getUint32(offset + 4, true);
+      offset += 8 + size + (size % 2);
+    }
+    return false;
+  }
+
+  return true;
+}
+
+function parseTiff(view, tiffStart, segment) {
+  const byteOrder = view.getUint16(tiffStart);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return null;
+  const little = byteOrder === 0x4949;
+  const ifd0 = tiffStart + view.getUint32(tiffStart + 4, little);
+  const exif = {
+    segment,
+    little,
+    orientation: 1,
+    orientationOffset: null,
+    gps: null,
+  };
+
+  let gpsIfd = null;
+  readIfdEntries(view, ifd0, little).forEach((entry) => {
+    if (entry.tag === 0x0112) {
+      exif.orientation = view.getUint16(entry.offset + 8, little) || 1;
+      exif.orientationOffset = entry.offset + 8;
+    } else if (entry.tag === 0x8825) {
+      gpsIfd = tiffStart + view.getUint32(entry.offset + 8, little);
+    }
+  });
+
+  if (gpsIfd !== null && gpsIfd < view.byteLength) {
+    exif.gps = parseGpsIfd(view, tiffStart, gpsIfd, little);
+  }
+
+  return exif;
+}
+
+function readIfdEntries(view, ifdStart, little) {
+  if (ifdStart + 2 > view.byteLength) return [];
+  const entries = [];
+  const entryCount = view.getUint16(ifdStart, little);
+  for (let index = 0; index < entryCount; index += 1) {
+    const offset = ifdStart + 2 + index * 12;
+    if (offset + 12 > view.byteLength) break;
+    entries.push({ tag: view.getUint16(offset, little), offset });
+  }
+  return entries;
+}
+
+function readGpsDegrees(view, tiffStart, entryOffset, little) {
+  const valueOffset = tiffStart + view.getUint32(entryOffset + 8, little);
+  if (valueOffset + 24 > view.byteLength) return null;
+  const parts = [0, 1, 2].map((index) => {
+    const numerator = view.getUint32(valueOffset + index * 8, little);
+    const denominator = view.getUint32(valueOffset + index * 8 + 4, little);
+    return denominator ? numerator / denominator : 0;
+  });
+  return parts[0] + parts[1] / 60 + parts[2] / 3600;
+}
+
+function parseGpsIfd(view, tiffStart, gpsIfd, little) {
+  let latRef = 'N';
+  let lonRef = 'E';
+  let lat = null;
+  let lon = null;
+
+  readIfdEntries(view, gpsIfd, little).forEach((entry) => {
+    switch (entry.tag) {
+      case 0x0001:
+        latRef = String.fromCharCode(view.getUint8(entry.offset + 8));
+        break;
+      case 0x0002:
+        lat = readGpsDegrees(view, tiffStart, entry.offset, little);
+        break;
+      case 0x0003:
+        lonRef = String.fromCharCode(view.getUint8(entry.offset + 8));
+        break;
+      case 0x0004:
+        lon = readGpsDegrees(view, tiffStart, entry.offset, little);
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (lat === null || lon === null || (lat === 0 && lon === 0)) return null;
+  return {
+    lat: latRef === 'S' ? -lat : lat,
+    lon: lonRef === 'W' ? -lon : lon,
+  };
+}
+
+async function readPhotoCoordinates(file) {
+  if (!file || file.type !== 'image/jpeg') return null;
+  try {
+    return readExif(await file.arrayBuffer())?.gps || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function browserAppliesExifOrientation() {
+  return typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+}
+
+function loadImageElement(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new ValidationError(`${file.name} could not be read as an image.`));
+    };
+    image.src = url;
+  });
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new ApiError('Unable to encode image'))),
+      type,
+      quality,
+    );
+  });
+}
+
+function applyOrientationTransform(ctx, orientation, width, height) {
+  switch (orientation) {
+    case 2:
+      ctx.transform(-1, 0, 0, 1, width, 0);
+      break;
+    case 3:
+      ctx.transform(-1, 0, 0, -1, width, height);
+      break;
+    case 4:
+      ctx.transform(1, 0, 0, -1, 0, height);
+      break;
+    case 5:
+      ctx.transform(0, 1, 1, 0, 0, 0);
+      break;
+    case 6:
+      ctx.transform(0, 1, -1, 0, width, 0);
+      break;
+    case 7:
+      ctx.transform(0, -1, -1, 0, width, height);
+      break;
+    case 8:
+      ctx.transform(0, -1, 1, 0, 0, height);
+      break;
+    default:
+      break;
+  }
+}
+
+function injectExifSegment(blob, sourceBuffer, exif) {
+  const { start, length } = exif.segment;
+  const segment = new Uint8Array(sourceBuffer.slice(start, start + length));
+  if (exif.orientationOffset !== null) {
+    new DataView(segment.buffer).setUint16(exif.orientationOffset - start, 1, exif.little);
+  }
+  return new Blob([blob.slice(0, 2), segment, blob.slice(2)], { type: 'image/jpeg' });
+}
+
+function renameForType(name, type) {
+  const extension = type === 'image/webp' ? 'webp' : 'jpg';
+  const base = name.replace(/\.[^.]+$/, '') || 'photo';
+  return `${base}.${extension}`;
+}
+
+async function preprocessImage(file, options = {}) {
+  const settings = { ...IMAGE_PROCESSING_DEFAULTS, ...options };
+  const passthrough = {
+    file,
+    originalSize: file.size,
+    processedSize: file.size,
+    processed: false,
+  };
+  if (PASSTHROUGH_IMAGE_TYPES.has(file.type)) return passthrough;
+
+  const buffer = await file.arrayBuffer();
+  const exif = file.type === 'image/jpeg' ? readExif(buffer) : null;
+  const hasMetadata = hasEmbeddedMetadata(buffer, file.type);
+  let image;
+  try {
+    image = await loadImageElement(file);
+  } catch (error) {
+    if (file.type === 'image/jpeg' || file.type === 'image/png' || file.type === 'image/webp') {
+      throw error;
+    }
+    if (settings.keepMetadata) return passthrough;
+    throw new ValidationError(
+      `${file.name} can't be converted in this browser, so its location details can't be removed. Save it as JPEG, PNG or WebP, or turn on "Keep location and camera details" to upload the original.`,
+    );
+  }
+
+  const orientation = browserAppliesExifOrientation() ? 1 : exif?.orientation || 1;
+  const swapAxes = orientation >= 5;
+  const sourceWidth = swapAxes ? image.naturalHeight : image.naturalWidth;
+  const sourceHeight = swapAxes ? image.naturalWidth : image.naturalHeight;
+  const longestEdge = Math.max(sourceWidth, sourceHeight);
+  const scale = settings.maxEdge > 0 ? Math.min(1, settings.maxEdge / longestEdge) : 1;
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  applyOrientationTransform(ctx, orientation, width, height);
+  ctx.drawImage(image, 0, 0, swapAxes ? height : width, swapAxes ? width : height);
+
+  const keepExif = settings.keepMetadata && Boolean(exif);
+  let type = keepExif ? 'image/jpeg' : settings.format;
+  let blob = await canvasToBlob(canvas, type, settings.quality);
+  if (blob.type !== type) {
+    type = 'image/jpeg';
+    blob = await canvasToBlob(canvas, type, settings.quality);
+  }
+  if (keepExif) {
+    blob = injectExifSegment(blob, buffer, exif);
+  }
+
+  const untouched = scale === 1 && orientation === 1 && (settings.keepMetadata || !hasMetadata);
+  if (untouched && blob.size >= file.size) return passthrough;
+
+  return {
+    file: new File([blob], renameForType(file.name, type), {
+      type,
+      lastModified: file.lastModified,
+    }),
+    originalSize: file.size,
+    processedSize: blob.size,
+    processed: true,
+  };
+}
+
+function getImageProcessingKey(settings) {
+  return [settings.maxEdge, settings.format, settings.quality, settings.keepMetadata].join('|');
+}
+
+function processImageCached(file, settings) {
+  const key = getImageProcessingKey(settings);
+  let entries = processedImageCache.get(file);
+  if (!entries) {
+    entries = new Map();
+    processedImageCache.set(file, entries);
+  }
+  if (!entries.has(key)) {
+    const pending = preprocessImage(file, settings);
+    pending.catch(() => entries.delete(key));
+    entries.set(key, pending);
+  }
+  return entries.get(key);
+}
+
+function describeSizeChange({ originalSize, processedSize, processed }) {
+  if (!processed) return `${formatFileSize(originalSize)} (uploaded as-is)`;
+  return `${formatFileSize(originalSize)} → ${formatFileSize(processedSize)}`;
+}
+
+function getStoredImageOptions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('photoshare_image_options') || '{}');
+    return { ...IMAGE_PROCESSING_DEFAULTS, ...stored };
+  } catch (error) {
+    return { ...IMAGE_PROCESSING_DEFAULTS };
+  }
+}
+
+function setupImagePreprocessing({ fileInput, optionsEl, summaryEl }) {
+  if (!fileInput || !optionsEl) return null;
+
+  const fields = {
+    maxEdge: optionsEl.querySelector('[data-option="maxEdge"]'),
+    format: optionsEl.querySelector('[data-option="format"]'),
+    quality: optionsEl.querySelector('[data-option="quality"]'),
+    keepMetadata: optionsEl.querySelector('[data-option="keepMetadata"]'),
+  };
+  const qualityLabel = optionsEl.querySelector('[data-role="quality-value"]');
+  let summaryToken = 0;
+
+  const applySettings = (settings) => {
+    if (fields.maxEdge) fields.maxEdge.value = String(settings.maxEdge);
+    if (fields.format) fields.format.value = settings.format;
+    if (fields.quality) fields.quality.value = String(Math.round(settings.quality * 100));
+    if (fields.keepMetadata) fields.keepMetadata.checked = Boolean(settings.keepMetadata);
+    if (qualityLabel) qualityLabel.textContent = `${Math.round(settings.quality * 100)}%`;
+  };
+
+  const getSettings = () => ({
+    maxEdge: Number(fields.maxEdge?.value ?? IMAGE_PROCESSING_DEFAULTS.maxEdge),
+    format: fields.format?.value || IMAGE_PROCESSING_DEFAULTS.format,
+    quality: Number(fields.quality?.value ?? IMAGE_PROCESSING_DEFAULTS.quality * 100) / 100,
+    keepMetadata: Boolean(fields.keepMetadata?.checked),
+  });
+
+  const updateSummary = async () => {
+    if (!summaryEl) return;
+    const files = Array.from(fileInput.files || []);
+    summaryToken += 1;
+    const token = summaryToken;
+    if (!files.length) {
+      summaryEl.textContent = '';
+      return;
+    }
+    if (files.length > 1) {
+      const total = files.reduce((sum, file) => sum + file.size, 0);
+      summaryEl.textContent = `${files.length} photos, ${formatFileSize(total)} total. Optimized sizes appear in the upload queue.`;
+      return;
+    }
+
+    summaryEl.textContent = 'Optimizing photo...';
+    try {
+      const result = await processImageCached(files[0], getSettings());
+      if (token !== summaryToken) return;
+      summaryEl.textContent = `Upload size: ${describeSizeChange(result)}`;
+    } catch (error) {
+      if (token !== summaryToken) return;
+      summaryEl.textContent = error.message;
+    }
+  };
+
+  optionsEl.addEventListener('input', () => {
+    if (qualityLabel && fields.quality) qualityLabel.textContent = `${fields.quality.value}%`;
+  });
+  optionsEl.addEventListener('change', () => {
+    localStorage.setItem('photoshare_image_options', JSON.stringify(getSettings()));
+    updateSummary();
+  });
+  fileInput.addEventListener('change', updateSummary);
+  applySettings(getStoredImageOptions());
+
+  return {
+    getSettings,
+    process(file, settings = getSettings()) {
+      return processImageCached(file, settings);
+    },
+    reset() {
+      summaryToken += 1;
+      if (summaryEl) summaryEl.textContent = '';
+      applySettings(getStoredImageOptions());
+    },
+  };
+}
+
+const UPLOAD_CONCURRENCY = 3;
+const UPLOAD_STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Optimizing',
+  uploading: 'Uploading',
+  saving: 'Publishing',
+  done: 'Published',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+let uploadItemId = 0;
+
+function buildUploadTitle(title, index, total) {
+  if (total <= 1) return title;
+  return `${title} (${index + 1}/${total})`;
+}
+
+function createUploadQueue({
+  panelEl,
+  listEl,
+  concurrency = UPLOAD_CONCURRENCY,
+  onSettled,
+  signal,
+}) {
+  if (!panelEl || !listEl) return null;
+
+  let items = [];
+  let active = 0;
+  let batch = { published: 0, scheduled: 0, failed: 0 };
+
+  const describe = (item) => {
+    let label = UPLOAD_STATUS_LABELS[item.status];
+    if (item.status === 'done' && item.metadata.publishAt) {
+      label = `Scheduled for ${formatPublishTime(item.metadata.publishAt)}`;
+    } else if (item.status === 'uploading') {
+      label = `${label} ${Math.round(item.progress * 100)}%`;
+    } else if (item.status === 'error') {
+      label = item.error || label;
+    }
+    return item.sizes ? `${label} · ${describeSizeChange(item.sizes)}` : label;
+  };
+
+  const createRow = (item) => {
+    const row = document.createElement('li');
+    row.className = 'upload-item';
+    row.dataset.uploadId = String(item.id);
+    row.innerHTML = `
+      <div class="upload-item-header">
+        <span class="upload-item-name">${escapeHtml(item.file.name)}</span>
+        <span class="upload-item-status muted small"></span>
+      </div>
+      <progress class="upload-item-progress" max="100" value="0"></progress>
+      <div class="upload-item-actions">
+        <button type="button" class="btn btn-ghost" data-action="cancel-upload">Cancel</button>
+        <button type="button" class="btn btn-ghost" data-action="retry-upload">Retry</button>
+        <button type="button" class="btn btn-ghost" data-action="remove-upload">Remove</button>
+      </div>
+    `;
+    listEl.appendChild(row);
+    return row;
+  };
+
+  const renderItem = (item) => {
+    const { row } = item;
+    row.dataset.status = item.status;
+    row.querySelector('.upload-item-status').textContent = describe(item);
+    row.querySelector('.upload-item-progress').value = Math.round(item.progress * 100);
+    row
+      .querySelector('[data-action="cancel-upload"]')
+      .classList.toggle('hidden', !['queued', 'processing', 'uploading'].includes(item.status));
+    row
+      .querySelector('[data-action="retry-upload"]')
+      .classList.toggle('hidden', item.status !== 'error' && item.status !== 'cancelled');
+    row
+      .querySelector('[data-action="remove-upload"]')
+      .classList.toggle('hidden', !['done', 'error', 'cancelled'].includes(item.status));
+  };
+
+  const updatePanel = () => {
+    panelEl.classList.toggle('hidden', items.length === 0);
+  };
+
+  const isBusy = () =>
+    items.some((item) => ['queued', 'processing', 'uploading', 'saving'].includes(item.status));
+
+  const runItem = async (item) => {
+    active += 1;
+    item.controller = new AbortController();
+    item.status = item.imageUrl ? 'saving' : 'uploading';
+    item.error = '';
+    renderItem(item);
+    const { signal } = item.controller;
+
+    try {
+      if (!item.uploadFile) {
+        item.status = 'processing';
+        renderItem(item);
+        const prepared = item.prepare ? await item.prepare(item.file) : { file: item.file };
+        if (signal.aborted) throw createAbortError();
+        item.uploadFile = prepared.file;
+        item.sizes = prepared.originalSize ? prepared : null;
+        item.status = 'uploading';
+        renderItem(item);
+      }
+      if (!item.imageUrl) {
+        item.imageUrl = await uploadImageFile(item.uploadFile, {
+          signal,
+          onProgress: (ratio) => {
+            item.progress = ratio;
+            renderItem(item);
+          },
+        });
+      }
+      item.progress = 1;
+      item.status = 'saving';
+      renderItem(item);
+      await createPhotoRecord(
+        { ...item.metadata, imageUrl: item.imageUrl },
+        { signal, idempotencyKey: item.idempotencyKey },
+      );
+      item.status = 'done';
+      batch[item.metadata.publishAt ? 'scheduled' : 'published'] += 1;
+    } catch (error) {
+      if (isAbortError(error)) {
+        item.status = 'cancelled';
+      } else {
+        item.status = 'error';
+        item.error = error.message;
+        batch.failed += 1;
+      }
+    } finally {
+      item.controller = null;
+      active -= 1;
+      renderItem(item);
+      pump();
+    }
+  };
+
+  const pump = () => {
+    while (active < concurrency) {
+      const next = items.find((item) => item.status === 'queued');
+      if (!next) break;
+      runItem(next);
+    }
+    if (!isBusy() && (batch.published || batch.scheduled || batch.failed)) {
+      const summary = batch;
+      batch = { published: 0, scheduled: 0, failed: 0 };
+      onSettled?.(summary);
+    }
+  };
+
+  listEl.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    const row = button?.closest('.upload-item');
+    if (!row) return;
+    const item = items.find((entry) => String(entry.id) === row.dataset.uploadId);
+    if (!item) return;
+
+    switch (button.dataset.action) {
+      case 'cancel-upload':
+        if (item.controller) {
+          item.controller.abort();
+        } else if (item.status === 'queued') {
+          item.status = 'cancelled';
+          renderItem(item);
+          pump();
+        }
+        break;
+      case 'retry-upload':
+        item.status = 'queued';
+        item.error = '';
+        if (!item.imageUrl) item.progress = 0;
+        renderItem(item);
+        pump();
+        break;
+      case 'remove-upload':
+        items = items.filter((entry) => entry !== item);
+        row.remove();
+        updatePanel();
+        break;
+      default:
+        break;
+    }
+  });
+
+  panelEl.addEventListener('click', (event) => {
+    if (!event.target.closest('button[data-action="clear-finished-uploads"]')) return;
+    items
+      .filter((item) => item.status === 'done')
+      .forEach((item) => item.row.remove());
+    items = items.filter((item) => item.status !== 'done');
+    updatePanel();
+  });
+
+  window.addEventListener(
+    'beforeunload',
+    (event) => {
+      if (!isBusy()) return;
+      event.preventDefault();
+      event.returnValue = '';
+    },
+    { signal },
+  );
+
+  signal?.addEventListener('abort', () => {
+    onSettled = null;
+    items.forEach((item) => {
+      if (item.status === 'queued') item.status = 'cancelled';
+      item.controller?.abort();
+    });
+  });
+
+  return {
+    add(files, metadata, { prepare } = {}) {
+      files.forEach((file, index) => {
+        const item = {
+          id: (uploadItemId += 1),
+          file,
+          prepare,
+          uploadFile: null,
+          sizes: null,
+          metadata: {
+            ...metadata,
+            title: buildUploadTitle(metadata.title, index, files.length),
+          },
+          status: 'queued',
+          progress: 0,
+          imageUrl: null,
+          idempotencyKey: createIdempotencyKey(),
+          error: '',
+          controller: null,
+        };
+        item.row = createRow(item);
+        renderItem(item);
+        items.push(item);
+      });
+      updatePanel();
+      pump();
+    },
+    isBusy,
+  };
+}
+
+const APP_DB_NAME = 'photoshare';
+const APP_DB_VERSION = 2;
+const DRAFT_STORE = 'drafts';
+const OUTBOX_STORE = 'outbox';
+const DRAFT_AUTOSAVE_DELAY = 600;
+let appDatabasePromise = null;
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openAppDatabase() {
+  if (!appDatabasePromise) {
+    if (!window.indexedDB) {
+      return Promise.reject(new Error('Offline storage is not supported in this browser.'));
+    }
+    const request = window.indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DRAFT_STORE)) {
+        db.createObjectStore(DRAFT_STORE, { keyPath: 'id' }).createIndex('userId', 'userId');
+      }
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true }).createIndex(
+          'userId',
+          'userId',
+        );
+      }
+    };
+    appDatabasePromise = idbRequest(request);
+    appDatabasePromise
+      .then((db) => {
+        db.onversionchange = () => {
+          db.close();
+          appDatabasePromise = null;
+        };
+      })
+      .catch(() => {
+        appDatabasePromise = null;
+      });
+  }
+  return appDatabasePromise;
+}
+
+async function withObjectStore(storeName, mode, callback) {
+  const db = await openAppDatabase();
+  return idbRequest(callback(db.transaction(storeName, mode).objectStore(storeName)));
+}
+
+function withDraftStore(mode, callback) {
+  return withObjectStore(DRAFT_STORE, mode, callback);
+}
+
+async function listDrafts({ source } = {}) {
+  const userId = localStorage.getItem('photoshare_user_id') || '';
+  const drafts = await withDraftStore('readonly', (store) => store.index('userId').getAll(userId));
+  return drafts
+    .filter((draft) => !source || draft.source === source)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function getDraft(id) {
+  return withDraftStore('readonly', (store) => store.get(id));
+}
+
+function saveDraft(draft) {
+  return withDraftStore('readwrite', (store) =>
+    store.put({ ...draft, userId: localStorage.getItem('photoshare_user_id') || '' }),
+  );
+}
+
+function deleteDraft(id) {
+  return withDraftStore('readwrite', (store) => store.delete(id));
+}
+
+function hasDraftContent(draft) {
+  return Boolean(
+    draft &&
+      (draft.title ||
+        draft.caption ||
+        draft.location?.name ||
+        draft.people?.length ||
+        draft.files?.length),
+  );
+}
+
+function setInputFiles(fileInput, files) {
+  if (!fileInput || !files?.length) return false;
+  try {
+    const transfer = new DataTransfer();
+    files.forEach((file) => transfer.items.add(file));
+    fileInput.files = transfer.files;
+    return true;
+  } catch (error) {
+    console.warn(error.message);
+    return false;
+  }
+}
+
+function createDraftAutosave({ form, source, collect, delay = DRAFT_AUTOSAVE_DELAY, signal }) {
+  let draftId = null;
+  let timer;
+
+  const save = async () => {
+    clearTimeout(timer);
+    const data = collect();
+    if (!data) return;
+    if (!hasDraftContent(data)) {
+      if (draftId) {
+        const id = draftId;
+        draftId = null;
+        await deleteDraft(id);
+        renderDraftList();
+      }
+      return;
+    }
+    draftId = draftId || `${source}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    await saveDraft({ ...data, id: draftId, source, updatedAt: Date.now() });
+    renderDraftList();
+  };
+
+  const flush = () =>
+    save().catch((error) => {
+      console.warn(error.message);
+    });
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  };
+
+  form.addEventListener('input', schedule);
+  form.addEventListener('change', schedule);
+  window.addEventListener('pagehide', flush, { signal });
+  signal?.addEventListener('abort', flush);
+
+  return {
+    schedule,
+    flush,
+    get id() {
+      return draftId;
+    },
+    setId(id) {
+      clearTimeout(timer);
+      draftId = id || null;
+    },
+    async discard() {
+      clearTimeout(timer);
+      const id = draftId;
+      draftId = null;
+      if (!id) return;
+      try {
+        await deleteDraft(id);
+      } catch (error) {
+        console.warn(error.message);
+      }
+      renderDraftList();
+    },
+  };
+}
+
+let draftPreviewUrls = [];
+
+async function renderDraftList() {
+  const list = document.getElementById('draft-list');
+  const section = document.getElementById('drafts-section');
+  if (!list || !section) return;
+
+  let drafts = [];
+  try {
+    drafts = await listDrafts();
+  } catch (error) {
+    console.warn(error.message);
+  }
+
+  draftPreviewUrls.forEach((url) => URL.revokeObjectURL(url));
+  draftPreviewUrls = [];
+  section.classList.toggle('hidden', drafts.length === 0);
+  const badge = document.getElementById('draft-count');
+  if (badge) badge.textContent = drafts.length;
+
+  list.innerHTML = drafts
+    .map((draft) => {
+      const file = draft.files?.[0];
+      let preview = '';
+      if (file) {
+        const url = URL.createObjectURL(file);
+        draftPreviewUrls.push(url);
+        preview = `<img src="${url}" alt="" class="draft-thumb" />`;
+      }
+      const details = [
+        `Saved ${formatRelativeTime(draft.updatedAt)}`,
+        draft.files?.length > 1 ? `${draft.files.length} photos` : '',
+        draft.location?.name || '',
+      ].filter(Boolean);
+      return `
+        <li class="draft-item" data-draft-id="${escapeHtml(draft.id)}">
+          ${preview || '<span class="draft-thumb draft-thumb-empty" aria-hidden="true">📝</span>'}
+          <div class="draft-info">
+            <strong>${escapeHtml(draft.title || 'Untitled draft')}</strong>
+            <span class="muted small">${escapeHtml(details.join(' · '))}</span>
+          </div>
+          <div class="draft-actions">
+            <button type="button" class="btn btn-ghost" data-action="resume-draft">Resume</button>
+            <button type="button" class="btn btn-ghost" data-action="discard-draft">Discard</button>
+          </div>
+        </li>
+      `;
+    })
+    .join('');
+}
+
+function bindDraftList({ uploadForm, signal } = {}) {
+  const list = document.getElementById('draft-list');
+  if (!list) return;
+
+  list.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    const item = button?.closest('.draft-item');
+    if (!item) return;
+    const draftId = item.dataset.draftId;
+
+    try {
+      if (button.dataset.action === 'discard-draft') {
+        if (!window.confirm('Discard this draft?')) return;
+        await deleteDraft(draftId);
+        announce('Draft discarded.');
+        renderDraftList();
+        return;
+      }
+      const draft = await getDraft(draftId);
+      if (!draft) {
+        renderDraftList();
+        return;
+      }
+      if (draft.source === 'upload' && uploadForm) {
+        uploadForm.resumeDraft(draft);
+      } else {
+        bindCreatePostModal();
+        createPostModal?.resume(draft);
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  renderDraftList();
+  signal?.addEventListener('abort', () => {
+    draftPreviewUrls.forEach((url) => URL.revokeObjectURL(url));
+    draftPreviewUrls = [];
+  });
+}
+
+const SCHEDULED_TICK_INTERVAL = 1000;
+const SCHEDULED_REFRESH_DELAY = 5000;
+let scheduledPosts = [];
+
+function renderScheduledList(photos = scheduledPosts) {
+  const list = document.getElementById('scheduled-list');
+  const section = document.getElementById('scheduled-section');
+  if (!list || !section) return;
+
+  scheduledPosts = photos
+    .filter((photo) => !pendingPhotoDeletes.has(photo._id))
+    .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+  section.classList.toggle('hidden', scheduledPosts.length === 0);
+  const badge = document.getElementById('scheduled-count');
+  if (badge) badge.textContent = scheduledPosts.length;
+
+  list.innerHTML = scheduledPosts
+    .map((photo) => {
+      const publishAt = new Date(photo.publishAt);
+      const hasTime = !Number.isNaN(publishAt.getTime());
+      return `
+        <li class="scheduled-item" data-photo-id="${escapeHtml(photo._id)}">
+          <div class="scheduled-row">
+            <img src="${escapeHtml(photo.imageUrl || '')}" alt="" class="scheduled-thumb" />
+            <div class="scheduled-info">
+              <strong>${escapeHtml(photo.title || 'Untitled')}</strong>
+              <span class="muted small">
+                ${hasTime ? `Publishes ${escapeHtml(formatPublishTime(publishAt))}` : 'Publish time pending'}
+              </span>
+              ${
+                hasTime
+                  ? `<span class="scheduled-countdown" data-publish-at="${publishAt.toISOString()}">${formatTimeUntil(publishAt)}</span>`
+                  : ''
+              }
+            </div>
+            <div class="scheduled-actions">
+              <button type="button" class="btn btn-ghost" data-action="reschedule">Reschedule</button>
+              <button type="button" class="btn btn-primary" data-action="publish-now">Publish now</button>
+            </div>
+          </div>
+          <form class="form scheduled-reschedule hidden"></form>
+        </li>
+      `;
+    })
+    .join('');
+}
+
+function bindScheduledList({ signal } = {}) {
+  const list = document.getElementById('scheduled-list');
+  if (!list) return;
+  const pickers = new WeakMap();
+  const refreshedPublishTimes = new Set();
+  let refreshTimer = null;
+
+  const findPhoto = (item) => scheduledPosts.find((photo) => photo._id === item?.dataset.photoId);
+
+  list.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    const item = button?.closest('.scheduled-item');
+    const photo = findPhoto(item);
+    if (!photo) return;
+    const form = item.querySelector('.scheduled-reschedule');
+    const rescheduleBtn = item.querySelector('[data-action="reschedule"]');
+
+    if (button.dataset.action === 'reschedule') {
+      if (!pickers.has(form)) {
+        form.innerHTML = `
+          ${renderScheduleFields()}
+          <div class="scheduled-reschedule-actions">
+            <button type="button" class="btn btn-ghost" data-action="cancel-reschedule">Cancel</button>
+            <button type="submit" class="btn btn-primary">Save</button>
+          </div>
+        `;
+        pickers.set(form, setupSchedulePicker(form));
+      }
+      pickers.get(form).setPublishAt(photo.publishAt);
+      form.classList.remove('hidden');
+      rescheduleBtn.classList.add('hidden');
+      form.querySelector('[data-schedule="datetime"]').focus();
+      return;
+    }
+
+    if (button.dataset.action === 'cancel-reschedule') {
+      form.classList.add('hidden');
+      rescheduleBtn.classList.remove('hidden');
+      rescheduleBtn.focus();
+      return;
+    }
+
+    if (button.dataset.action === 'publish-now') {
+      if (!window.confirm(`Publish "${photo.title || 'this photo'}" now?`)) return;
+      button.disabled = true;
+      try {
+        await publishPhotoNow(photo._id);
+        announce('Photo published.');
+        const searchInput = document.getElementById('search-input');
+        refreshFeeds(searchInput ? searchInput.value.trim() : '');
+        await loadCreatorDashboard({ signal });
+      } catch (error) {
+        button.disabled = false;
+        alert(error.message);
+      }
+    }
+  });
+
+  list.addEventListener('submit', async (event) => {
+    const form = event.target.closest('.scheduled-reschedule');
+    if (!form) return;
+    event.preventDefault();
+    const photo = findPhoto(form.closest('.scheduled-item'));
+    const picker = pickers.get(form);
+    if (!photo || !picker) return;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const summaryEl = form.querySelector('[data-schedule="summary"]');
+
+    try {
+      const publishAt = picker.getPublishAt();
+      submitBtn.disabled = true;
+      const saved = await reschedulePhoto(photo._id, publishAt);
+      renderScheduledList(
+        scheduledPosts.map((entry) =>
+          entry._id === photo._id
+            ? { ...entry, publishAt, ...(saved?._id === photo._id ? saved : {}) }
+            : entry,
+        ),
+      );
+      announce(`Rescheduled for ${formatPublishTime(publishAt)}.`);
+    } catch (error) {
+      summaryEl.textContent = error.message;
+      submitBtn.disabled = false;
+    }
+  });
+
+  const tick = () => {
+    const due = new Set();
+    list.querySelectorAll('[data-publish-at]').forEach((el) => {
+      const { publishAt } = el.dataset;
+      if (refreshedPublishTimes.has(publishAt)) {
+        el.textContent = 'Publishing…';
+        return;
+      }
+      el.textContent = formatTimeUntil(publishAt);
+      if (new Date(publishAt).getTime() <= Date.now()) due.add(publishAt);
+    });
+    if (due.size && !refreshTimer) {
+      refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        due.forEach((publishAt) => refreshedPublishTimes.add(publishAt));
+        loadCreatorDashboard({ signal });
+      }, SCHEDULED_REFRESH_DELAY);
+    }
+  };
+  const interval = setInterval(tick, SCHEDULED_TICK_INTERVAL);
+  signal?.addEventListener('abort', () => {
+    clearInterval(interval);
+    clearTimeout(refreshTimer);
+  });
+}
+
+const OUTBOX_SYNC_TAG = 'photoshare-outbox';
+const OUTBOX_ENDPOINTS = {
+  like: (entry) => `/photos/${entry.photoId}/like`,
+  comment: (entry) => `/photos/${entry.photoId}/comment`,
+};
+const OUTBOX_ERROR_MESSAGES = {
+  like: 'Unable to sync a like',
+  comment: 'Unable to sync a comment',
+};
+let outboxFlushPromise = null;
+
+function isOffline() {
+  return navigator.onLine === false;
+}
+
+async function listOutbox() {
+  const userId = localStorage.getItem('photoshare_user_id') || '';
+  const entries = await withObjectStore(OUTBOX_STORE, 'readonly', (store) =>
+    store.index('userId').getAll(userId),
+  );
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function deleteOutboxEntry(id) {
+  return withObjectStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(id));
+}
+
+function requestOutboxSync() {
+  navigator.serviceWorker?.ready
+    .then((registration) => registration.sync?.register(OUTBOX_SYNC_TAG))
+    .catch((error) => console.warn(error.message));
+}
+
+async function queueOfflineAction(action) {
+  const entries = await listOutbox();
+  const opposite =
+    action.type === 'like'
+      ? entries.find((entry) => entry.type === 'like' && entry.photoId === action.photoId)
+      : null;
+  let id = null;
+  if (opposite) {
+    await deleteOutboxEntry(opposite.id);
+  } else {
+    id = await withObjectStore(OUTBOX_STORE, 'readwrite', (store) =>
+      store.add({
+        ...action,
+        userId: localStorage.getItem('photoshare_user_id') || '',
+        createdAt: Date.now(),
+      }),
+    );
+    requestOutboxSync();
+  }
+  updateConnectionStatus();
+  return id;
+}
+
+async function postOrQueue(action, { errorMessage } = {}) {
+  if (!isOffline()) {
+    try {
+      const payload = await api.post(OUTBOX_ENDPOINTS[action.type](action), action.body, {
+        errorMessage,
+      });
+      return { payload };
+    } catch (error) {
+      if (!(error instanceof NetworkError)) throw error;
+    }
+  }
+  const outboxId = await queueOfflineAction(action);
+  return { queued: true, outboxId };
+}
+
+function flushOutbox() {
+  if (outboxFlushPromise) return outboxFlushPromise;
+  outboxFlushPromise = (async () => {
+    if (isOffline() || !getToken()) return;
+    const entries = await listOutbox();
+    if (!entries.length) return;
+    updateConnectionStatus();
+
+    for (const entry of entries) {
+      let payload = null;
+      try {
+        payload = await api.post(OUTBOX_ENDPOINTS[entry.type](entry), entry.body, {
+          errorMessage: OUTBOX_ERROR_MESSAGES[entry.type],
+        });
+      } catch (error) {
+        if (isRetryableError(error) || error instanceof AuthError) return;
+        showToast(`${error.message}. It was removed from the sync queue.`);
+      }
+      await deleteOutboxEntry(entry.id);
+      if (payload) {
+        window.dispatchEvent(
+          new CustomEvent('photoshare:outbox-synced', { detail: { entry, payload } }),
+        );
+      }
+    }
+    announce('Offline changes synced.');
+  })()
+    .catch((error) => console.warn(error.message))
+    .finally(() => {
+      outboxFlushPromise = null;
+      updateConnectionStatus();
+    });
+  return outboxFlushPromise;
+}
+
+function getConnectionBanner() {
+  let banner = document.getElementById('connection-banner');
+  if (banner) return banner;
+
+  banner = document.createElement('div');
+  banner.id = 'connection-banner';
+  banner.className = 'connection-banner hidden';
+  banner.setAttribute('role', 'status');
+  banner.setAttribute('aria-live', 'polite');
+  banner.innerHTML = `
+    <span class="connection-banner-message"></span>
+    <button type="button" class="btn btn-ghost hidden" data-action="sync-outbox">Sync now</button>
+  `;
+  banner.addEventListener('click', (event) => {
+    if (event.target.closest('[data-action="sync-outbox"]')) flushOutbox();
+  });
+  banner.dataset.persist = 'true';
+  document.body.appendChild(banner);
+  return banner;
+}
+
+async function updateConnectionStatus() {
+  let pending = 0;
+  if (getToken()) {
+    try {
+      pending = (await listOutbox()).length;
+    } catch (error) {
+      pending = 0;
+    }
+  }
+
+  const offline = isOffline();
+  const syncing = Boolean(outboxFlushPromise);
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+  let message = '';
+  if (offline) {
+    message = pending
+      ? `You're offline. ${changes} will sync when you reconnect.`
+      : "You're offline. Showing saved content.";
+  } else if (pending) {
+    message = syncing ? `Syncing ${changes}...` : `${changes} waiting to sync.`;
+  }
+
+  document.body.classList.toggle('is-offline', offline);
+  const banner = getConnectionBanner();
+  banner.classList.toggle('hidden', !message);
+  banner.querySelector('.connection-banner-message').textContent = message;
+  banner
+    .querySelector('[data-action="sync-outbox"]')
+    .classList.toggle('hidden', offline || syncing || !pending);
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+  navigator.serviceWorker.register('sw.js').catch((error) => console.warn(error.message));
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'sync-outbox') flushOutbox();
+  });
+}
+
+const DATA_CACHE_PREFIX = 'photoshare-data-';
+
+function clearDataCache() {
+  if (!window.caches) return;
+  caches
+    .keys()
+    .then((keys) =>
+      Promise.all(keys.filter((key) => key.startsWith(DATA_CACHE_PREFIX)).map((key) => caches.delete(key))),
+    )
+    .catch((error) => console.warn(error.message));
+}
+
+const SHARE_TARGET_CACHE = 'photoshare-share-target';
+
+async function takeSharedPhotos() {
+  if (!window.caches || !(await caches.has(SHARE_TARGET_CACHE))) return null;
+  const cache = await caches.open(SHARE_TARGET_CACHE);
+  const entries = await Promise.all(
+    (await cache.keys()).map(async (request) => [request.url, await cache.match(request)]),
+  );
+  await caches.delete(SHARE_TARGET_CACHE);
+
+  let meta = {};
+  const files = [];
+  for (const [url, response] of entries) {
+    const key = url.split('/').pop();
+    if (key === 'meta') {
+      meta = await response.json();
+    } else {
+      const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-photo');
+      const type = response.headers.get('Content-Type') || 'image/jpeg';
+      files[Number(key)] = new File([await response.blob()], name, { type });
+    }
+  }
+  return { ...meta, files: files.filter(Boolean) };
+}
+
+async function receiveSharedPhotos() {
+  let shared = null;
+  try {
+    shared = await takeSharedPhotos();
+  } catch (error) {
+    console.warn(error.message);
+  }
+  if (!shared) return;
+  if (getUserRole() !== 'creator') {
+    showToast('Only creators can post photos.');
+    return;
+  }
+  if (!shared.files.length) {
+    showToast('The shared item did not include a photo.');
+    return;
+  }
+  bindCreatePostModal();
+  createPostModal?.share(shared);
+}
+
+function bindConnectionStatus() {
+  window.addEventListener('online', () => {
+    updateConnectionStatus();
+    flushOutbox();
+  });
+  window.addEventListener('offline', updateConnectionStatus);
+  window.addEventListener('photoshare:outbox-synced', (event) => {
+    if (event.detail.entry.type === 'like') receiveLikePayload(event.detail.payload);
+  });
+  updateConnectionStatus();
+  flushOutbox();
+}
+
+const REALTIME_RECONNECT_BASE_DELAY = 1000;
+const REALTIME_RECONNECT_MAX_DELAY = 30000;
+const realtime = {
+  socket: null,
+  channels: new Map(),
+  attempts: 0,
+  timer: null,
+  hasConnected: false,
+  bound: false,
+};
+
+function getRealtimeUrl() {
+  const url = new URL(`${API_BASE}/realtime`, window.location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.href;
+}
+
+function sendRealtime(message) {
+  if (realtime.socket && realtime.socket.readyState === WebSocket.OPEN) {
+    realtime.socket.send(JSON.stringify(message));
+  }
+}
+
+function dispatchRealtime(channel, message) {
+  realtime.channels.get(channel)?.forEach((handler) => {
+    try {
+      handler(message);
+    } catch (error) {
+      console.warn(error.message);
+    }
+  });
+}
+
+function scheduleRealtimeReconnect() {
+  clearTimeout(realtime.timer);
+  if (!realtime.channels.size || !getToken()) return;
+  const delay = Math.min(
+    REALTIME_RECONNECT_MAX_DELAY,
+    REALTIME_RECONNECT_BASE_DELAY * 2 ** realtime.attempts,
+  );
+  realtime.attempts += 1;
+  realtime.timer = setTimeout(connectRealtime, delay / 2 + Math.random() * (delay / 2));
+}
+
+function connectRealtime() {
+  clearTimeout(realtime.timer);
+  realtime.timer = null;
+  if (realtime.socket || !realtime.channels.size || !getToken() || !('WebSocket' in window)) return;
+
+  if (!realtime.bound) {
+    realtime.bound = true;
+    window.addEventListener('online', () => {
+      realtime.attempts = 0;
+      connectRealtime();
+    });
+  }
+
+  let socket;
+  try {
+    socket = new WebSocket(getRealtimeUrl());
+  } catch (error) {
+    console.warn(error.message);
+    scheduleRealtimeReconnect();
+    return;
+  }
+  realtime.socket = socket;
+
+  socket.addEventListener('open', () => {
+    const reconnected = realtime.hasConnected;
+    realtime.attempts = 0;
+    realtime.hasConnected = true;
+    sendRealtime({ type: 'auth', token: getToken() });
+    realtime.channels.forEach((handlers, channel) => sendRealtime({ type: 'subscribe', channel }));
+    if (reconnected) {
+      realtime.channels.forEach((handlers, channel) => dispatchRealtime(channel, { type: 'resync' }));
+    }
+  });
+  socket.addEventListener('message', (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    if (message?.channel) dispatchRealtime(message.channel, message);
+  });
+  socket.addEventListener('close', () => {
+    if (realtime.socket !== socket) return;
+    realtime.socket = null;
+    scheduleRealtimeReconnect();
+  });
+}
+
+function subscribeRealtime(channel, handler, { signal } = {}) {
+  if (!realtime.channels.has(channel)) {
+    realtime.channels.set(channel, new Set());
+    sendRealtime({ type: 'subscribe', channel });
+  }
+  realtime.channels.get(channel).add(handler);
+  connectRealtime();
+
+  signal?.addEventListener('abort', () => {
+    const handlers = realtime.channels.get(channel);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size) return;
+    realtime.channels.delete(channel);
+    sendRealtime({ type: 'unsubscribe', channel });
+    if (!realtime.channels.size) {
+      clearTimeout(realtime.timer);
+      realtime.timer = null;
+      realtime.hasConnected = false;
+      const { socket } = realtime;
+      realtime.socket = null;
+      socket?.close(1000);
+    }
+  });
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+function formatCoordinates({ lat, lon }) {
+  return `${roundCoordinate(lat).toFixed(5)}, ${roundCoordinate(lon).toFixed(5)}`;
+}
+
+function createNominatimGeocoder({ baseUrl = 'https://nominatim.openstreetmap.org' } = {}) {
+  const request = async (path, params, signal) => {
+    const url = new URL(`${baseUrl}${path}`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    const res = await fetch(url.toString(), {
+      signal,
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!res.ok) throw createApiError(res.status, null, 'Location lookup failed');
+    return res.json();
+  };
+
+  const toPlace = (item) => ({
+    id: item.place_id,
+    name: item.display_name,
+    lat: Number(item.lat),
+    lon: Number(item.lon),
+  });
+
+  return {
+    async search(query, { signal } = {}) {
+      const data = await request(
+        '/search',
+        { q: query, format: 'json', limit: '7', addressdetails: '0' },
+        signal,
+      );
+      return (data || []).map(toPlace);
+    },
+    async reverse({ lat, lon }, { signal } = {}) {
+      const data = await request(
+        '/reverse',
+        { lat: String(lat), lon: String(lon), format: 'json', zoom: '14' },
+        signal,
+      );
+      return data?.display_name ? toPlace(data) : null;
+    },
+  };
+}
+
+function normalizePlace(item) {
+  return {
+    id: item.id ?? item.place_id,
+    name: item.name || item.display_name,
+    lat: Number(item.lat),
+    lon: Number(item.lon),
+  };
+}
+
+function createProxyGeocoder({ basePath = '/geocode' } = {}) {
+  return {
+    async search(query, { signal } = {}) {
+      const data = await api.get(`${basePath}/search?q=${encodeURIComponent(query)}`, {
+        signal,
+        retries: 0,
+        errorMessage: 'Location lookup failed',
+      });
+      return (data || []).map(normalizePlace);
+    },
+    async reverse({ lat, lon }, { signal } = {}) {
+      const data = await api.get(
+        `${basePath}/reverse?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`,
+        { signal, retries: 0, errorMessage: 'Location lookup failed' },
+      );
+      return data ? normalizePlace(data) : null;
+    },
+  };
+}
+
+const GEOCODER_FIXTURES = [
+  { id: 'fixture-amsterdam', name: 'Amsterdam, North Holland, Netherlands', lat: 52.3676, lon: 4.9041 },
+  { id: 'fixture-berlin', name: 'Berlin, Germany', lat: 52.52, lon: 13.405 },
+  { id: 'fixture-cape-town', name: 'Cape Town, Western Cape, South Africa', lat: -33.9249, lon: 18.4241 },
+  { id: 'fixture-istanbul', name: 'Istanbul, Türkiye', lat: 41.0082, lon: 28.9784 },
+  { id: 'fixture-karachi', name: 'Karachi, Sindh, Pakistan', lat: 24.8607, lon: 67.0011 },
+  { id: 'fixture-lahore', name: 'Lahore, Punjab, Pakistan', lat: 31.5204, lon: 74.3587 },
+  { id: 'fixture-lisbon', name: 'Lisbon, Portugal', lat: 38.7223, lon: -9.1393 },
+  { id: 'fixture-london', name: 'London, England, United Kingdom', lat: 51.5072, lon: -0.1276 },
+  { id: 'fixture-new-york', name: 'New York, United States', lat: 40.7128, lon: -74.006 },
+  { id: 'fixture-paris', name: 'Paris, Île-de-France, France', lat: 48.8566, lon: 2.3522 },
+  { id: 'fixture-peshawar', name: 'Peshawar, Khyber Pakhtunkhwa, Pakistan', lat: 34.0151, lon: 71.5249 },
+  { id: 'fixture-rome', name: 'Rome, Lazio, Italy', lat: 41.9028, lon: 12.4964 },
+  { id: 'fixture-san-francisco', name: 'San Francisco, California, United States', lat: 37.7749, lon: -122.4194 },
+  { id: 'fixture-sydney', name: 'Sydney, New South Wales, Australia', lat: -33.8688, lon: 151.2093 },
+  { id: 'fixture-tokyo', name: 'Tokyo, Japan', lat: 35.6762, lon: 139.6503 },
+];
+const FIXTURE_REVERSE_RADIUS_KM = 100;
+
+function distanceInKm(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function createFixtureGeocoder({ url } = {}) {
+  let placesPromise = null;
+  const loadPlaces = () => {
+    if (!url) return Promise.resolve(GEOCODER_FIXTURES);
+    if (!placesPromise) {
+      placesPromise = fetch(url)
+        .then((res) => (res.ok ? res.json() : GEOCODER_FIXTURES))
+        .then((places) => (Array.isArray(places) ? places.map(normalizePlace) : GEOCODER_FIXTURES))
+        .catch(() => GEOCODER_FIXTURES);
+    }
+    return placesPromise;
+  };
+
+  return {
+    async search(query) {
+      const needle = query.toLowerCase();
+      const places = await loadPlaces();
+      return places.filter((place) => place.name.toLowerCase().includes(needle)).slice(0, 7);
+    },
+    async reverse(coordinates) {
+      const places = await loadPlaces();
+      let nearest = null;
+      let nearestDistance = Infinity;
+      places.forEach((place) => {
+        const distance = distanceInKm(coordinates, place);
+        if (distance < nearestDistance) {
+          nearest = place;
+          nearestDistance = distance;
+        }
+      });
+      return nearestDistance <= FIXTURE_REVERSE_RADIUS_KM ? nearest : null;
+    },
+  };
+}
+
+function createRateLimiter({ interval }) {
+  let queue = Promise.resolve();
+  let lastRun = 0;
+
+  return {
+    schedule(task, signal) {
+      const run = queue.then(async () => {
+        if (signal?.aborted) throw createAbortError();
+        const wait = lastRun + interval - Date.now();
+        if (wait > 0) await waitFor(wait, signal);
+        lastRun = Date.now();
+        return task();
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+const GEOCODE_CACHE_KEY = 'photoshare_geocode_cache';
+const GEOCODE_CACHE_LIMIT = 200;
+const GEOCODE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+function createGeocodeCache({
+  storageKey = GEOCODE_CACHE_KEY,
+  maxEntries = GEOCODE_CACHE_LIMIT,
+  ttl = GEOCODE_CACHE_TTL,
+} = {}) {
+  const entries = new Map();
+  let persistTimer = null;
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    stored.forEach(([key, entry]) => {
+      if (entry?.expiresAt > Date.now()) entries.set(key, entry);
+    });
+  } catch (error) {
+    localStorage.removeItem(storageKey);
+  }
+
+  const persist = () => {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(Array.from(entries.entries())));
+      } catch (error) {
+        entries.clear();
+        localStorage.removeItem(storageKey);
+      }
+    }, 500);
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        persist();
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      persist();
+    },
+  };
+}
+
+function createCachedGeocoder(provider, { name, cache, limiter }) {
+  const throughCache = async (key, load, signal) => {
+    const cached = cache.get(key);
+    if (cached !== undefined) return cached;
+    const value = limiter ? await limiter.schedule(() => load(), signal) : await load();
+    cache.set(key, value);
+    return value;
+  };
+
+  return {
+    search(query, { signal } = {}) {
+      const key = `${name}:search:${query.trim().toLowerCase()}`;
+      return throughCache(key, () => provider.search(query, { signal }), signal);
+    },
+    reverse(coordinates, { signal } = {}) {
+      const key = `${name}:reverse:${coordinates.lat.toFixed(4)},${coordinates.lon.toFixed(4)}`;
+      return throughCache(key, () => provider.reverse(coordinates, { signal }), signal);
+    },
+  };
+}
+
+const GEOCODER_PROVIDERS = {
+  nominatim: { create: createNominatimGeocoder, rateLimit: 1100, cache: true },
+  proxy: { create: createProxyGeocoder, rateLimit: 0, cache: true },
+  fixtures: { create: createFixtureGeocoder, rateLimit: 0, cache: false },
+};
+
+function readMetaContent(name) {
+  if (typeof document === 'undefined') return '';
+  return document.querySelector(`meta[name="${name}"]`)?.content?.trim() || '';
+}
+
+function resolveGeocoderConfig() {
+  const override = typeof window !== 'undefined' ? window.__PHOTOSHARE_GEOCODER : null;
+  if (override && typeof override === 'object') {
+    return override;
+  }
+
+  const provider = override || readMetaContent('photoshare-geocoder') || 'nominatim';
+  const url = readMetaContent('photoshare-geocoder-url');
+  return { provider, url };
+}
+
+function resolveGeocoder() {
+  const config = resolveGeocoderConfig();
+  if (typeof config.search === 'function' && typeof config.reverse === 'function') {
+    return config;
+  }
+  return createGeocoder(config);
+}
+
+function createGeocoder({ provider = 'nominatim', url } = {}) {
+  const definition = GEOCODER_PROVIDERS[provider] || GEOCODER_PROVIDERS.nominatim;
+  const providerName = GEOCODER_PROVIDERS[provider] ? provider : 'nominatim';
+  let options = {};
+  if (url && providerName === 'nominatim') options = { baseUrl: normalizeBase(url) };
+  if (url && providerName === 'proxy') options = { basePath: normalizeBase(url) };
+  if (url && providerName === 'fixtures') options = { url };
+
+  const instance = definition.create(options);
+  if (!definition.cache && !definition.rateLimit) return instance;
+
+  return createCachedGeocoder(instance, {
+    name: providerName,
+    cache: definition.cache ? createGeocodeCache() : { get() {}, set() {} },
+    limiter: definition.rateLimit ? createRateLimiter({ interval: definition.rateLimit }) : null,
+  });
+}
+
+let geocoder = resolveGeocoder();
+
+function getGeocoder() {
+  return geocoder;
+}
+
+function setGeocoder(nextGeocoder) {
+  if (nextGeocoder?.search && nextGeocoder?.reverse) {
+    geocoder = nextGeocoder;
+  }
+}
+
+let comboboxCount = 0;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function highlightMatch(text, query) {
+  const value = String(text ?? '');
+  const terms = (query || '').trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (!terms.length) return escapeHtml(value);
+
+  const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+  return value
+    .split(pattern)
+    .map((part, index) => (index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+function announce(message) {
+  let region = document.getElementById('a11y-announcer');
+  if (!region) {
+    region = document.createElement('div');
+    region.id = 'a11y-announcer';
+    region.className = 'visually-hidden';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.dataset.persist = 'true';
+    document.body.appendChild(region);
+  }
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+function createCombobox({
+  inputEl,
+  listEl,
+  fetchOptions,
+  renderOption,
+  onSelect,
+  noun = 'result',
+  minLength = 2,
+  delay = 250,
+  getQuery = () => inputEl.value.trim(),
+  clearOnEscape = true,
+}) {
+  comboboxCount += 1;
+  const listId = listEl.id || `combobox-list-${comboboxCount}`;
+  let options = [];
+  let activeIndex = -1;
+  let query = '';
+  let timeout;
+  let controller = null;
+
+  listEl.id = listId;
+  listEl.setAttribute('role', 'listbox');
+  inputEl.setAttribute('role', 'combobox');
+  inputEl.setAttribute('aria-autocomplete', 'list');
+  inputEl.setAttribute('aria-expanded', 'false');
+  inputEl.setAttribute('aria-controls', listId);
+  const label = inputEl.id ? document.querySelector(`label[for="${inputEl.id}"]`) : null;
+  if (label) {
+    label.id = label.id || `${inputEl.id}-label`;
+    listEl.setAttribute('aria-labelledby', label.id);
+  }
+
+  const optionId = (index) => `${listId}-option-${index}`;
+  const isOpen = () => inputEl.getAttribute('aria-expanded') === 'true';
+
+  const close = () => {
+    options = [];
+    activeIndex = -1;
+    listEl.innerHTML = '';
+    listEl.classList.add('hidden');
+    inputEl.setAttribute('aria-expanded', 'false');
+    inputEl.removeAttribute('aria-activedescendant');
+  };
+
+  const setActive = (index) => {
+    activeIndex = index;
+    listEl.querySelectorAll('[role="option"]').forEach((optionEl, optionIndex) => {
+      const active = optionIndex === index;
+      optionEl.classList.toggle('active', active);
+      optionEl.setAttribute('aria-selected', String(active));
+      if (active) optionEl.scrollIntoView?.({ block: 'nearest' });
+    });
+    if (index >= 0) {
+      inputEl.setAttribute('aria-activedescendant', optionId(index));
+    } else {
+      inputEl.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const render = (items) => {
+    if (!items.length) {
+      close();
+      announce(`No ${noun}s found.`);
+      return;
+    }
+
+    options = items;
+    activeIndex = -1;
+    listEl.innerHTML = items
+      .map(
+        (item, index) => `
+          <div
+            class="suggestion-item"
+            role="option"
+            id="${optionId(index)}"
+            data-index="${index}"
+            aria-selected="false"
+          >
+            ${renderOption(item, query)}
+          </div>
+        `,
+      )
+      .join('');
+    listEl.classList.remove('hidden');
+    inputEl.setAttribute('aria-expanded', 'true');
+    inputEl.removeAttribute('aria-activedescendant');
+    announce(
+      `${items.length} ${noun}${items.length === 1 ? '' : 's'} available. Use up and down arrows to review.`,
+    );
+  };
+
+  const load = async (value) => {
+    controller?.abort();
+    controller = new AbortController();
+    try {
+      const items = await fetchOptions(value, { signal: controller.signal });
+      if (value !== query) return;
+      render(items || []);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      close();
+    }
+  };
+
+  const select = (index) => {
+    const item = options[index];
+    if (!item) return;
+    close();
+    onSelect(item);
+  };
+
+  inputEl.addEventListener('input', () => {
+    query = getQuery();
+    clearTimeout(timeout);
+    controller?.abort();
+    if (query.length < minLength) {
+      close();
+      return;
+    }
+    timeout = setTimeout(() => load(query), delay);
+  });
+
+  inputEl.addEventListener('keydown', (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        if (!isOpen()) {
+          if (query.length < minLength) return;
+          event.preventDefault();
+          load(query);
+          return;
+        }
+        event.preventDefault();
+        setActive((activeIndex + 1) % options.length);
+        break;
+      case 'ArrowUp':
+        if (!isOpen()) return;
+        event.preventDefault();
+        setActive(activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+        break;
+      case 'Enter':
+        if (!isOpen() || activeIndex < 0) return;
+        event.preventDefault();
+        select(activeIndex);
+        break;
+      case 'Escape':
+        if (isOpen()) {
+          event.preventDefault();
+          event.stopPropagation();
+          close();
+        } else if (clearOnEscape && inputEl.value) {
+          event.preventDefault();
+          event.stopPropagation();
+          inputEl.value = '';
+          inputEl.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        break;
+      case 'Tab':
+        close();
+        break;
+      default:
+        break;
+    }
+  });
+
+  listEl.addEventListener('mousedown', (event) => {
+    const optionEl = event.target.closest('[role="option"]');
+    if (!optionEl) return;
+    event.preventDefault();
+    select(Number(optionEl.dataset.index));
+  });
+
+  listEl.addEventListener('mousemove', (event) => {
+    const optionEl = event.target.closest('[role="option"]');
+    if (!optionEl) return;
+    const index = Number(optionEl.dataset.index);
+    if (index !== activeIndex) setActive(index);
+  });
+
+  inputEl.addEventListener('blur', () => {
+    clearTimeout(timeout);
+    close();
+  });
+
+  return {
+    close,
+    reset() {
+      clearTimeout(timeout);
+      controller?.abort();
+      query = '';
+      close();
+    },
+  };
+}
+
+function setupLocationAutocomplete(inputEl, suggestionsEl, { onChange } = {}) {
+  if (!inputEl || !suggestionsEl) return null;
+
+  let selectedValue = inputEl.value.trim();
+  let selectedPlace = null;
+  let suggestedPlace = null;
+
+  const promptEl = document.createElement('div');
+  promptEl.className = 'location-suggestion hidden';
+  (inputEl.closest('.autocomplete') || inputEl).insertAdjacentElement('afterend', promptEl);
+
+  const clearPrompt = () => {
+    suggestedPlace = null;
+    promptEl.innerHTML = '';
+    promptEl.classList.add('hidden');
+  };
+
+  const selectPlace = (place) => {
+    selectedPlace = place;
+    selectedValue = place.name;
+    inputEl.value = place.name;
+    onChange?.();
+  };
+
+  const combobox = createCombobox({
+    inputEl,
+    listEl: suggestionsEl,
+    noun: 'place',
+    fetchOptions: (query, { signal }) => getGeocoder().search(query, { signal }),
+    renderOption: (place, query) => `
+      <span class="suggestion-icon" aria-hidden="true">📍</span>
+      <span>${highlightMatch(place.name, query)}</span>
+    `,
+    onSelect: (place) => {
+      selectPlace(place);
+      announce(`${place.name} selected.`);
+    },
+  });
+
+  inputEl.addEventListener('input', () => {
+    selectedValue = inputEl.value.trim();
+    if (selectedPlace && selectedPlace.name !== selectedValue) {
+      selectedPlace = null;
+    }
+  });
+
+  promptEl.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const suggestion = suggestedPlace;
+    clearPrompt();
+    if (button.dataset.action !== 'accept-location' || !suggestion) return;
+    combobox.close();
+    const place = suggestion.resolve ? await suggestion.resolve() : suggestion;
+    if (!place) return;
+    selectPlace(place);
+    announce(`${place.name} selected.`);
+  });
+
+  return {
+    getValue() {
+      return selectedValue || inputEl.value.trim();
+    },
+    getPlace() {
+      const name = this.getValue();
+      const hasCoordinates =
+        selectedPlace?.name === name &&
+        Number.isFinite(selectedPlace.lat) &&
+        Number.isFinite(selectedPlace.lon);
+      return {
+        name,
+        coordinates: hasCoordinates
+          ? { lat: roundCoordinate(selectedPlace.lat), lon: roundCoordinate(selectedPlace.lon) }
+          : null,
+      };
+    },
+    suggest(place) {
+      if (!place) {
+        clearPrompt();
+        return;
+      }
+      suggestedPlace = place;
+      const message = place.name
+        ? `Photo taken near <strong>${escapeHtml(place.name)}</strong>`
+        : 'Photo has a location — use it?';
+      promptEl.innerHTML = `
+        <span>📍 ${message}</span>
+        <span class="location-suggestion-actions">
+          <button type="button" class="btn btn-ghost" data-action="accept-location">Use</button>
+          <button type="button" class="btn btn-ghost" data-action="dismiss-location">Dismiss</button>
+        </span>
+      `;
+      promptEl.classList.remove('hidden');
+      announce(place.name ? `Suggested location from photo: ${place.name}.` : 'Photo has a location.');
+    },
+    setPlace({ name, coordinates } = {}) {
+      clearPrompt();
+      selectPlace({ name: name || '', lat: coordinates?.lat, lon: coordinates?.lon });
+    },
+    reset() {
+      selectedValue = '';
+      selectedPlace = null;
+      inputEl.value = '';
+      combobox.reset();
+      clearPrompt();
+    },
+  };
+}
+
+function bindPhotoLocationSuggestion(fileInput, locationAutocomplete, imagePreprocessing) {
+  if (!fileInput || !locationAutocomplete) return;
+
+  const canUseLocation = () => Boolean(imagePreprocessing?.getSettings().keepMetadata);
+  let controller = null;
+  fileInput.addEventListener('change', async () => {
+    controller?.abort();
+    controller = new AbortController();
+    const { signal } = controller;
+    locationAutocomplete.suggest(null);
+    if (!canUseLocation()) return;
+
+    const files = Array.from(fileInput.files || []);
+    let coordinates = null;
+    for (const file of files) {
+      coordinates = await readPhotoCoordinates(file);
+      if (coordinates || signal.aborted) break;
+    }
+    if (!coordinates || signal.aborted) return;
+
+    locationAutocomplete.suggest({
+      lat: coordinates.lat,
+      lon: coordinates.lon,
+      async resolve() {
+        if (!canUseLocation()) return null;
+        let place = null;
+        try {
+          place = await getGeocoder().reverse(coordinates, { signal });
+        } catch (error) {
+          if (isAbortError(error)) return null;
+        }
+        if (signal.aborted) return null;
+        return {
+          name: place?.name || formatCoordinates(coordinates),
+          lat: coordinates.lat,
+          lon: coordinates.lon,
+        };
+      },
+    });
+  });
+}
+
+async function searchUsers(query, { signal } = {}) {
+  const data = await api.get(`/users/search?q=${encodeURIComponent(query)}`, {
+    signal,
+    retries: 0,
+  });
+  return (data || []).map((person) => ({
+    ...person,
+    avatarUrl: person.avatarUrl || DEFAULT_AVATAR,
+  }));
+}
+
+const USER_LOOKUP_BATCH_SIZE = 50;
+const USER_LOOKUP_DELAY = 10;
+const userCache = new Map();
+let pendingUserLookups = new Map();
+let userLookupTimer = null;
+
+function normalizeUser(user) {
+  if (!user) return null;
+  return { ...user, _id: user._id || user.id, avatarUrl: user.avatarUrl || DEFAULT_AVATAR };
+}
+
+async function flushUserLookups() {
+  clearTimeout(userLookupTimer);
+  userLookupTimer = null;
+  const batch = pendingUserLookups;
+  pendingUserLookups = new Map();
+  if (!batch.size) return;
+
+  try {
+    const ids = Array.from(batch.keys());
+    const data = await api.get(`/users?ids=${ids.map(encodeURIComponent).join(',')}`, {
+      errorMessage: 'Unable to load users',
+    });
+    const users = new Map(
+      (Array.isArray(data) ? data : data?.users || [])
+        .map(normalizeUser)
+        .map((user) => [user._id, user]),
+    );
+    batch.forEach(({ resolve }, id) => resolve(users.get(id) || null));
+  } catch (error) {
+    batch.forEach(({ reject }, id) => {
+      userCache.delete(id);
+      reject(error);
+    });
+  }
+}
+
+function lookupUser(id) {
+  if (!userCache.has(id)) {
+    const viewerId = currentUser?._id || currentUser?.id;
+    const request =
+      viewerId && viewerId === id
+        ? Promise.resolve(normalizeUser(currentUser))
+        : new Promise((resolve, reject) => {
+            pendingUserLookups.set(id, { resolve, reject });
+            if (pendingUserLookups.size >= USER_LOOKUP_BATCH_SIZE) {
+              flushUserLookups();
+            } else if (!userLookupTimer) {
+              userLookupTimer = setTimeout(flushUserLookups, USER_LOOKUP_DELAY);
+            }
+          });
+    userCache.set(id, request);
+  }
+  return userCache.get(id);
+}
+
+function lookupUsers(ids) {
+  return Promise.all(ids.map((id) => lookupUser(id)));
+}
+
+function setupPeopleSelector({ inputEl, suggestionsEl, containerEl, onChange }) {
+  if (!inputEl || !suggestionsEl || !containerEl) return null;
+
+  let selected = [];
+
+  const renderSelected = () => {
+    if (!selected.length) {
+      containerEl.innerHTML = '';
+      return;
+    }
+
+    containerEl.innerHTML = selected
+      .map(
+        (person) => `
+          <span class="chip" data-id="${person.id}">
+            <img
+              src="${escapeHtml(person.avatarUrl || DEFAULT_AVATAR)}"
+              alt=""
+              class="avatar-xs"
+            />
+            <span>${escapeHtml(person.name)}</span>
+            <button
+              type="button"
+              data-action="remove"
+              data-id="${person.id}"
+              aria-label="Remove ${escapeHtml(person.name)}"
+            >×</button>
+          </span>
+        `,
+      )
+      .join('');
+  };
+
+  const removePerson = (id) => {
+    const person = selected.find((entry) => entry.id === id);
+    selected = selected.filter((entry) => entry.id !== id);
+    renderSelected();
+    onChange?.();
+    if (person) announce(`${person.name} removed.`);
+  };
+
+  const combobox = createCombobox({
+    inputEl,
+    listEl: suggestionsEl,
+    noun: 'person',
+    delay: 200,
+    fetchOptions: async (query, { signal }) => {
+      const people = await searchUsers(query, { signal });
+      const selectedIds = new Set(selected.map((person) => person.id));
+      return people.filter(
+        (person) => !selectedIds.has(person.id) && person.id !== currentUser?.id,
+      );
+    },
+    renderOption: (person, query) => `
+      <img src="${escapeHtml(person.avatarUrl)}" alt="" class="avatar-xs" />
+      <span>${highlightMatch(person.name, query)}</span>
+    `,
+    onSelect: (person) => {
+      selected.push(person);
+      renderSelected();
+      onChange?.();
+      inputEl.value = '';
+      announce(`${person.name} added. ${selected.length} tagged.`);
+    },
+  });
+
+  inputEl.addEventListener('keydown', (event) => {
+    if (event.key === 'Backspace' && !inputEl.value && selected.length) {
+      removePerson(selected[selected.length - 1].id);
+    }
+  });
+
+  containerEl.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action="remove"]');
+    if (!button) return;
+    removePerson(button.dataset.id);
+    inputEl.focus();
+  });
+
+  return {
+    getSelectedIds() {
+      return selected.map((person) => person.id);
+    },
+    getSelected() {
+      return selected.slice();
+    },
+    setSelected(people) {
+      selected = (people || [])
+        .map((person) => ({
+          id: person.id || person.userId || person.user?._id || person.user?.id,
+          name: person.name || person.user?.name || '',
+          avatarUrl: person.avatarUrl || person.user?.avatarUrl || DEFAULT_AVATAR,
+        }))
+        .filter((person) => person.id && person.name);
+      renderSelected();
+    },
+    reset() {
+      selected = [];
+      renderSelected();
+      combobox.reset();
+      inputEl.value = '';
+    },
+  };
+}
+
+function getMentionHandle(person) {
+  return (person.username || person.handle || person.name || '').replace(/[^\p{L}\p{N}_.-]/gu, '');
+}
+
+function setupMentionAutocomplete(inputEl) {
+  if (!inputEl) return null;
+
+  let wrapper = inputEl.parentElement;
+  if (!wrapper.classList.contains('autocomplete')) {
+    wrapper = document.createElement('div');
+    wrapper.className = 'autocomplete';
+    inputEl.before(wrapper);
+    wrapper.appendChild(inputEl);
+  }
+  const listEl = document.createElement('div');
+  listEl.className = 'suggestions hidden';
+  if (inputEl.id) listEl.id = `${inputEl.id}-mentions`;
+  wrapper.appendChild(listEl);
+
+  const picked = new Map();
+
+  const getTokenBeforeCaret = () => {
+    const caret = inputEl.selectionStart ?? inputEl.value.length;
+    const match = inputEl.value.slice(0, caret).match(MENTION_QUERY_PATTERN);
+    return match ? { caret, value: match[1] } : null;
+  };
+
+  const combobox = createCombobox({
+    inputEl,
+    listEl,
+    noun: 'person',
+    minLength: 1,
+    delay: 200,
+    clearOnEscape: false,
+    getQuery: () => getTokenBeforeCaret()?.value || '',
+    fetchOptions: (query, { signal }) => searchUsers(query, { signal }),
+    renderOption: (person, query) => `
+      <img src="${escapeHtml(person.avatarUrl)}" alt="" class="avatar-xs" />
+      <span>${highlightMatch(person.name, query)}</span>
+      <span class="muted small">@${escapeHtml(getMentionHandle(person))}</span>
+    `,
+    onSelect: (person) => {
+      const token = getTokenBeforeCaret();
+      const handle = getMentionHandle(person);
+      if (!token || !handle) return;
+      const start = token.caret - token.value.length - 1;
+      const insertion = `@${handle} `;
+      inputEl.value = `${inputEl.value.slice(0, start)}${insertion}${inputEl.value.slice(token.caret)}`;
+      const caret = start + insertion.length;
+      inputEl.setSelectionRange?.(caret, caret);
+      picked.set(handle.toLowerCase(), { userId: person.id || person._id, handle, name: person.name });
+      announce(`Mentioned ${person.name}.`);
+    },
+  });
+
+  return {
+    getMentions() {
+      return parseMentions(inputEl.value)
+        .map((handle) => picked.get(handle.toLowerCase()))
+        .filter(Boolean);
+    },
+    setMentions(mentions) {
+      picked.clear();
+      (mentions || []).forEach((mention) => {
+        if (mention?.handle) picked.set(mention.handle.toLowerCase(), mention);
+      });
+    },
+    reset() {
+      picked.clear();
+      combobox.reset();
+    },
+  };
+}
+
+function logout() {
+  clearSession();
+  navigateTo('login.html');
+}
+
+function updateNavigationVisibility() {
+  const role = getUserRole();
+  const token = getToken();
+  const loginLink = document.getElementById('login-link');
+  const signupLink = document.getElementById('signup-link');
+  const logoutBtn = document.getElementById('logout-btn');
+
+  const guestElements = document.querySelectorAll('[data-visible="guest"]');
+  const authElements = document.querySelectorAll('[data-visible="auth"]');
+  const creatorElements = document.querySelectorAll('[data-role="creator"]');
+
+  guestElements.forEach((el) => el.classList.toggle('hidden', Boolean(token)));
+  authElements.forEach((el) => el.classList.toggle('hidden', !token));
+  creatorElements.forEach((el) => el.classList.toggle('hidden', role !== 'creator'));
+
+  if (loginLink && !loginLink.hasAttribute('data-visible')) {
+    loginLink.classList.toggle('hidden', Boolean(token));
+  }
+  if (signupLink && !signupLink.hasAttribute('data-visible')) {
+    signupLink.classList.toggle('hidden', Boolean(token));
+  }
+  if (logoutBtn && !logoutBtn.hasAttribute('data-visible')) {
+    logoutBtn.classList.toggle('hidden', !token);
+  }
+}
+
+const NOTIFICATION_POLL_INTERVAL = 30000;
+const NOTIFICATION_LIMIT = 50;
+const NOTIFICATION_VERBS = {
+  like: 'liked your photo',
+  comment: 'commented on your photo',
+  tag: 'tagged you in',
+  follow: 'started following you',
+};
+const notificationCenter = {
+  items: [],
+  unreadCount: 0,
+  loaded: false,
+  timer: null,
+  controller: null,
+  bound: false,
+};
+
+function normalizeNotifications(payload) {
+  const items = (Array.isArray(payload) ? payload : payload?.notifications || payload?.items || [])
+    .filter((item) => item && NOTIFICATION_VERBS[item.type])
+    .map((item) => ({ ...item, _id: item._id || item.id, read: Boolean(item.read || item.readAt) }));
+  const unreadCount = Number.isFinite(payload?.unreadCount)
+    ? payload.unreadCount
+    : items.filter((item) => !item.read).length;
+  return { items, unreadCount };
+}
+
+function getNotificationPhoto(item) {
+  if (item.photo && typeof item.photo === 'object') return item.photo;
+  const photoId = item.photoId || item.photo;
+  return photoId ? { _id: photoId } : null;
+}
+
+function groupNotifications(items) {
+  const groups = new Map();
+  [...items]
+    .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+    .forEach((item) => {
+      const photo = getNotificationPhoto(item);
+      const key = item.type === 'follow' ? 'follow' : `${item.type}:${photo?._id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { key, type: item.type, photo, ids: [], actors: [], unread: false, createdAt: item.createdAt });
+      }
+      const group = groups.get(key);
+      group.ids.push(item._id);
+      group.unread = group.unread || !item.read;
+      const actor = normalizeUser(item.actor || item.user);
+      if (actor && !group.actors.some((entry) => entry._id === actor._id)) group.actors.push(actor);
+    });
+  return Array.from(groups.values());
+}
+
+function formatActorNames(actors) {
+  const [first, second] = actors.map((actor) => `<strong>${escapeHtml(actor.name || 'Someone')}</strong>`);
+  if (!first) return '<strong>Someone</strong>';
+  if (actors.length === 1) return first;
+  if (actors.length === 2) return `${first} and ${second}`;
+  const others = actors.length - 1;
+  return `${first} and ${others} others`;
+}
+
+function getNotificationHref(group) {
+  if (group.type === 'follow') {
+    return group.actors.length === 1
+      ? `profile.html?id=${encodeURIComponent(group.actors[0]._id)}`
+      : 'profile.html';
+  }
+  return group.photo?._id ? `photo.html?id=${encodeURIComponent(group.photo._id)}` : 'index.html';
+}
+
+function renderNotificationGroup(group) {
+  const [actor] = group.actors;
+  const title = group.type !== 'follow' && group.photo?.title ? ` “${escapeHtml(group.photo.title)}”` : '';
+  return `
+    <li class="notification-item ${group.unread ? 'unread' : ''}" data-ids="${escapeHtml(group.ids.join(','))}">
+      <img src="${escapeHtml(actor?.avatarUrl || DEFAULT_AVATAR)}" alt="" class="user-list-avatar" />
+      <a href="${getNotificationHref(group)}" class="notification-link">
+        <span>${formatActorNames(group.actors)} ${NOTIFICATION_VERBS[group.type]}${title}</span>
+        <span class="muted small">${renderRelativeTime(group.createdAt)}</span>
+      </a>
+      ${
+        group.unread
+          ? '<button type="button" class="link-btn" data-action="mark-notification-read">Mark read</button>'
+          : ''
+      }
+    </li>
+  `;
+}
+
+function renderNotifications() {
+  const badge = document.getElementById('notifications-badge');
+  const button = document.getElementById('notifications-btn');
+  const { unreadCount } = notificationCenter;
+  if (badge) {
+    badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+    badge.classList.toggle('hidden', !unreadCount);
+  }
+  button?.setAttribute('aria-label', unreadCount ? `Notifications (${unreadCount} unread)` : 'Notifications');
+
+  const panel = document.getElementById('notifications-panel');
+  if (!panel) return;
+  const list = panel.querySelector('.notifications-list');
+  const groups = groupNotifications(notificationCenter.items);
+  if (!notificationCenter.loaded) {
+    list.innerHTML = '<li class="muted small">Loading notifications...</li>';
+  } else if (!groups.length) {
+    list.innerHTML = `<li class="muted small">You're all caught up.</li>`;
+  } else {
+    list.innerHTML = groups.map(renderNotificationGroup).join('');
+  }
+  panel.querySelector('[data-action="mark-all-read"]').disabled = !unreadCount;
+}
+
+async function pollNotifications() {
+  clearTimeout(notificationCenter.timer);
+  notificationCenter.timer = null;
+  if (!getToken()) return;
+  if (!document.hidden) {
+    notificationCenter.controller?.abort();
+    const controller = new AbortController();
+    notificationCenter.controller = controller;
+    try {
+      const payload = await api.get(`/notifications?limit=${NOTIFICATION_LIMIT}`, {
+        signal: controller.signal,
+        cache: 'no-store',
+        errorMessage: 'Unable to load notifications',
+      });
+      if (notificationCenter.controller !== controller) return;
+      Object.assign(notificationCenter, normalizeNotifications(payload), { loaded: true });
+      renderNotifications();
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.warn(error.message);
+    }
+  }
+  if (getToken()) {
+    notificationCenter.timer = setTimeout(pollNotifications, NOTIFICATION_POLL_INTERVAL);
+  }
+}
+
+function stopNotificationPolling() {
+  clearTimeout(notificationCenter.timer);
+  notificationCenter.controller?.abort();
+  Object.assign(notificationCenter, {
+    items: [],
+    unreadCount: 0,
+    loaded: false,
+    timer: null,
+    controller: null,
+  });
+  renderNotifications();
+}
+
+async function markNotificationsRead(ids) {
+  const targets = ids
+    ? notificationCenter.items.filter((item) => ids.includes(item._id) && !item.read)
+    : notificationCenter.items.filter((item) => !item.read);
+  if (!targets.length && ids) return;
+
+  const previousUnread = notificationCenter.unreadCount;
+  targets.forEach((item) => {
+    item.read = true;
+  });
+  notificationCenter.unreadCount = ids ? Math.max(0, previousUnread - targets.length) : 0;
+  renderNotifications();
+
+  try {
+    if (ids) {
+      await api.post('/notifications/read', { ids: targets.map((item) => item._id) }, {
+        errorMessage: 'Unable to mark notifications as read',
+      });
+    } else {
+      await api.post('/notifications/read-all', {}, {
+        errorMessage: 'Unable to mark notifications as read',
+      });
+    }
+  } catch (error) {
+    targets.forEach((item) => {
+      item.read = false;
+    });
+    notificationCenter.unreadCount = previousUnread;
+    renderNotifications();
+    showToast(error.message);
+  }
+}
+
+function closeNotificationPanel({ restoreFocus = false } = {}) {
+  const panel = document.getElementById('notifications-panel');
+  const button = document.getElementById('notifications-btn');
+  if (!panel || panel.classList.contains('hidden')) return;
+  panel.classList.add('hidden');
+  button?.setAttribute('aria-expanded', 'false');
+  if (restoreFocus) button?.focus();
+}
+
+function ensureNotificationPanel(button) {
+  const existing = document.getElementById('notifications-panel');
+  if (existing) return existing;
+
+  const panel = document.createElement('div');
+  panel.id = 'notifications-panel';
+  panel.className = 'notifications-panel hidden';
+  panel.setAttribute('role', 'region');
+  panel.setAttribute('aria-label', 'Notifications');
+  panel.innerHTML = `
+    <div class="notifications-header">
+      <h2>Notifications</h2>
+      <button type="button" class="link-btn" data-action="mark-all-read">Mark all read</button>
+    </div>
+    <ul class="notifications-list" aria-live="polite"></ul>
+  `;
+  panel.addEventListener('click', (event) => {
+    if (event.target.closest('[data-action="mark-all-read"]')) {
+      markNotificationsRead(null);
+      return;
+    }
+    const item = event.target.closest('.notification-item');
+    if (!item) return;
+    const ids = item.dataset.ids.split(',');
+    if (event.target.closest('[data-action="mark-notification-read"]')) {
+      markNotificationsRead(ids);
+    } else if (event.target.closest('a')) {
+      if (item.classList.contains('unread')) markNotificationsRead(ids);
+      closeNotificationPanel();
+    }
+  });
+  panel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeNotificationPanel({ restoreFocus: true });
+  });
+  button.insertAdjacentElement('afterend', panel);
+  return panel;
+}
+
+function bindNotificationCenter() {
+  const button = document.getElementById('notifications-btn');
+  if (button) {
+    const panel = ensureNotificationPanel(button);
+    button.addEventListener('click', () => {
+      const opening = panel.classList.contains('hidden');
+      panel.classList.toggle('hidden', !opening);
+      button.setAttribute('aria-expanded', String(opening));
+      if (opening) pollNotifications();
+    });
+  }
+  renderNotifications();
+
+  if (!getToken()) {
+    stopNotificationPolling();
+    return;
+  }
+  if (!notificationCenter.timer && !notificationCenter.controller) pollNotifications();
+
+  if (notificationCenter.bound) return;
+  notificationCenter.bound = true;
+  document.addEventListener('click', (event) => {
+    if (!event.target.closest('.notifications')) closeNotificationPanel();
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && getToken()) pollNotifications();
+  });
+}
+
+const RICH_TOKEN_BODY = '[\\p{L}\\p{N}_](?:[\\p{L}\\p{N}_.-]*[\\p{L}\\p{N}_])?';
+const RICH_TEXT_PATTERN = new RegExp(`(^|[^\\p{L}\\p{N}_@#&])([@#])(${RICH_TOKEN_BODY})`, 'gu');
+const MENTION_QUERY_PATTERN = /(?:^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]*)$/u;
+
+function parseRichTokens(text, sigil) {
+  const seen = new Set();
+  return Array.from(String(text || '').matchAll(RICH_TEXT_PATTERN))
+    .filter((match) => match[2] === sigil)
+    .map((match) => match[3])
+    .filter((value) => {
+      const key = value.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function parseMentions(text) {
+  return parseRichTokens(text, '@');
+}
+
+function parseHashtags(text) {
+  return parseRichTokens(text, '#').map((tag) => tag.toLowerCase());
+}
+
+function renderRichText(text, { mentions = [] } = {}) {
+  const source = String(text ?? '');
+  const mentionsByHandle = new Map(
+    (Array.isArray(mentions) ? mentions : [])
+      .filter((mention) => mention?.handle && (mention.userId || mention.id))
+      .map((mention) => [mention.handle.toLowerCase(), mention.userId || mention.id]),
+  );
+
+  let html = '';
+  let lastIndex = 0;
+  Array.from(source.matchAll(RICH_TEXT_PATTERN)).forEach((match) => {
+    const [, prefix, sigil, value] = match;
+    const start = match.index + prefix.length;
+    html += escapeHtml(source.slice(lastIndex, start));
+    lastIndex = start + sigil.length + value.length;
+
+    if (sigil === '#') {
+      html += `<a class="hashtag" href="index.html?q=${encodeURIComponent(`#${value}`)}">#${escapeHtml(value)}</a>`;
+      return;
+    }
+    const userId = mentionsByHandle.get(value.toLowerCase());
+    html += userId
+      ? `<a class="mention" href="profile.html?id=${encodeURIComponent(userId)}">@${escapeHtml(value)}</a>`
+      : `<span class="mention">@${escapeHtml(value)}</span>`;
+  });
+  return html + escapeHtml(source.slice(lastIndex));
+}
+
+function buildLocationMarkup(location) {
+  if (!location) return '';
+  return `<div class="location-pill">📍 ${escapeHtml(location)}</div>`;
+}
+
+function buildPeopleMarkup(people) {
+  if (!Array.isArray(people) || people.length === 0) return '';
+  const links = people
+    .filter((person) => person && (person.userId || person.user?._id || person.user?.id))
     .map((person) => {
       const personId = person.userId || person.user?._id || person.user?.id;
       const rawName = person.name || person.user?.name || 'Creator';
@@ -470,297 +3574,2518 @@ function buildPeopleMarkup(people) {
       if (!personId) {
         return `<span class="people-link">${escapeHtml(name)}</span>`;
       }
-      return `<a class="people-link" href="profile.html?id=${encodeURIComponent(personId)}">${escapeHtml(name)}</a>`;
+      return `<a class="people-link" href="profile.html?id=${encodeURIComponent(personId)}">${escapeHtml(name)}</a>`;
+    });
+  if (!links.length) return '';
+  return `<div class="people-list">With ${links.join(', ')}</div>`;
+}
+
+function renderPhotoCard(photo, { manageable = false } = {}) {
+  const creatorName = photo.creator?.name || photo.creatorName || 'Unknown';
+  const creatorId = photo.creator?._id || photo.creator?.id;
+  const creatorLink = creatorId
+    ? `<a href="profile.html?id=${encodeURIComponent(creatorId)}">${escapeHtml(creatorName)}</a>`
+    : escapeHtml(creatorName);
+
+  seedLikeState(photo);
+  const { liked, count: likeCount, pending: likePending } = getLikeState(photo._id);
+  const caption = photo.caption
+    ? renderRichText(photo.caption, { mentions: photo.mentions })
+    : '';
+  const locationHtml = buildLocationMarkup(photo.location);
+  const peopleHtml = buildPeopleMarkup(photo.people);
+
+  return `
+    <article class="photo-card" data-id="${photo._id}">
+      <img src="${photo.imageUrl}" alt="${escapeHtml(photo.title || 'Photo')}" />
+      <div class="card-body">
+        <div>
+          <h3>${escapeHtml(photo.title || 'Untitled')}</h3>
+          ${caption ? `<p class="muted card-caption">${caption}</p>` : ''}
+          ${locationHtml}
+          ${peopleHtml}
+        </div>
+        <div class="card-meta">
+          <span>${creatorLink}</span>
+          <div class="card-actions">
+            ${
+              canInteractWithPhotos()
+                ? `<button
+                    type="button"
+                    class="btn btn-ghost card-save-btn"
+                    data-action="add-to-collection"
+                    data-photo-id="${photo._id}"
+                    aria-label="Add to collection"
+                    title="Add to collection"
+                  >
+                    <span class="icon" aria-hidden="true">🔖</span>
+                  </button>`
+                : ''
+            }
+            <div class="like-control">
+              <button
+                type="button"
+                class="btn btn-like card-like-btn ${liked ? 'liked' : ''} ${likePending ? 'is-pending' : ''}"
+                data-photo-id="${photo._id}"
+                data-liked="${liked}"
+                aria-pressed="${liked}"
+                aria-label="Like"
+              >
+                <span class="icon">❤</span>
+              </button>
+              <button
+                type="button"
+                class="like-count"
+                data-action="show-likers"
+                data-photo-id="${photo._id}"
+                aria-label="See who liked this"
+              >
+                ${likeCount}
+              </button>
+            </div>
+          </div>
+        </div>
+        ${
+          manageable
+            ? `<div class="owner-actions">
+                <button type="button" class="btn btn-ghost" data-action="edit-photo">Edit</button>
+                <button type="button" class="btn btn-ghost" data-action="delete-photo">Delete</button>
+              </div>`
+            : ''
+        }
+      </div>
+    </article>
+  `;
+}
+
+function renderPhotoGrid(
+  container,
+  photos,
+  { emptyMessage = 'No photos found.', append = false, manageable = false } = {},
+) {
+  if (!container) return;
+  const items = (Array.isArray(photos) ? photos : []).filter(
+    (photo) => !pendingPhotoDeletes.has(photo?._id),
+  );
+  container.dataset.emptyMessage = emptyMessage;
+  container.dataset.manageable = String(manageable);
+  if (!append && items.length === 0) {
+    container.innerHTML = `<p class="empty-state">${escapeHtml(emptyMessage)}</p>`;
+    return;
+  }
+
+  items.forEach((photo) => {
+    if (photo?._id) photoCache.set(photo._id, photo);
+  });
+  const markup = items.map((photo) => renderPhotoCard(photo, { manageable })).join('');
+  if (append) {
+    container.insertAdjacentHTML('beforeend', markup);
+  } else {
+    container.innerHTML = markup;
+  }
+  bindPhotoCards(container);
+  if (isLightboxOpen() && lightbox.container === container) {
+    updateLightboxControls();
+  }
+}
+
+function bindPhotoCards(container) {
+  container.querySelectorAll('.photo-card:not([data-bound])').forEach((card) => {
+    card.dataset.bound = 'true';
+    card.tabIndex = 0;
+    card.addEventListener('click', (event) => {
+      const id = card.getAttribute('data-id');
+      if (!id || event.target.closest('a, button')) return;
+      if (event.metaKey || event.ctrlKey || event.shiftKey) {
+        window.open(`photo.html?id=${encodeURIComponent(id)}`, '_blank', 'noopener');
+        return;
+      }
+      openLightbox(id, { container });
+    });
+    card.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter' || event.target !== card) return;
+      const id = card.getAttribute('data-id');
+      if (id) openLightbox(id, { container });
+    });
+  });
+  bindCardLikeButtons(container);
+  bindCardOwnerActions(container);
+}
+
+function bindCardOwnerActions(container) {
+  container.querySelectorAll('.owner-actions button:not([data-bound])').forEach((button) => {
+    button.dataset.bound = 'true';
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      const photo = photoCache.get(button.closest('.photo-card')?.dataset.id);
+      if (!photo) return;
+      if (button.dataset.action === 'edit-photo') {
+        openPhotoEditor(photo);
+      } else {
+        requestPhotoDeletion(photo);
+      }
+    });
+  });
+}
+
+function getToastRegion() {
+  let region = document.getElementById('toast-region');
+  if (!region) {
+    region = document.createElement('div');
+    region.id = 'toast-region';
+    region.className = 'toast-region';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.dataset.persist = 'true';
+    document.body.appendChild(region);
+  }
+  return region;
+}
+
+function showToast(message, { actionLabel, onAction, duration = 5000 } = {}) {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.innerHTML = `
+    <span class="toast-message">${escapeHtml(message)}</span>
+    ${actionLabel ? `<button type="button" class="link-btn" data-action="toast-action">${escapeHtml(actionLabel)}</button>` : ''}
+    <button type="button" class="toast-close" data-action="toast-dismiss" aria-label="Dismiss">×</button>
+  `;
+
+  const dismiss = () => {
+    clearTimeout(timer);
+    toast.remove();
+  };
+  const timer = setTimeout(dismiss, duration);
+  toast.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    if (button.dataset.action === 'toast-action') onAction?.();
+    dismiss();
+  });
+
+  getToastRegion().appendChild(toast);
+  return dismiss;
+}
+
+const PHOTO_COUNT_BADGES = {
+  'creator-gallery': 'upload-count',
+  'profile-photo-grid': 'profile-post-count',
+  'album-photo-grid': 'album-count',
+};
+const PHOTO_DELETE_UNDO_DELAY = 6000;
+const pendingPhotoDeletes = new Map();
+
+function syncPhotoGridState(container) {
+  const count = container.querySelectorAll('.photo-card').length;
+  const badge = document.getElementById(PHOTO_COUNT_BADGES[container.id]);
+  if (badge) badge.textContent = count;
+  const emptyState = container.querySelector(':scope > .empty-state');
+  if (count) {
+    emptyState?.remove();
+  } else if (!emptyState) {
+    container.insertAdjacentHTML(
+      'beforeend',
+      `<p class="empty-state">${escapeHtml(container.dataset.emptyMessage || 'No photos found.')}</p>`,
+    );
+  }
+}
+
+function applyPhotoUpdate(photo) {
+  photoCache.set(photo._id, photo);
+  const containers = new Set();
+  document.querySelectorAll('.photo-card').forEach((card) => {
+    if (card.dataset.id !== photo._id) return;
+    const container = card.parentElement;
+    card.insertAdjacentHTML(
+      'afterend',
+      renderPhotoCard(photo, { manageable: container.dataset.manageable === 'true' }),
+    );
+    card.remove();
+    containers.add(container);
+  });
+  containers.forEach((container) => bindPhotoCards(container));
+
+  if (
+    document.body.dataset.page === 'photo-detail' &&
+    new URLSearchParams(window.location.search).get('id') === photo._id
+  ) {
+    renderPhotoDetail(photo);
+  }
+}
+
+function removePhotoCards(photoId) {
+  const removed = [];
+  document.querySelectorAll('.photo-card').forEach((card) => {
+    if (card.dataset.id !== photoId) return;
+    removed.push({ card, parent: card.parentElement, next: card.nextElementSibling });
+    card.remove();
+  });
+  removed.forEach(({ parent }) => syncPhotoGridState(parent));
+
+  return () =>
+    removed.filter(({ card, parent, next }) => {
+      if (!parent.isConnected) return false;
+      parent.insertBefore(card, next?.parentElement === parent ? next : null);
+      syncPhotoGridState(parent);
+      return true;
+    }).length;
+}
+
+function flushPendingPhotoDeletes() {
+  pendingPhotoDeletes.forEach(({ timer, commit }) => {
+    clearTimeout(timer);
+    commit({ keepalive: true });
+  });
+}
+
+function requestPhotoDeletion(photo) {
+  const photoId = photo._id;
+  if (!photoId || pendingPhotoDeletes.has(photoId)) return;
+  if (!window.confirm(`Delete "${photo.title || 'this photo'}"?`)) {
+    return;
+  }
+
+  const restoreCards = removePhotoCards(photoId);
+  const leftDetailPage =
+    document.body.dataset.page === 'photo-detail' &&
+    new URLSearchParams(window.location.search).get('id') === photoId;
+  if (leftDetailPage) {
+    navigateTo('creator.html', { replace: true });
+  }
+
+  const restore = () => {
+    if (leftDetailPage) {
+      navigateTo(`photo.html?id=${encodeURIComponent(photoId)}`);
+    } else if (!restoreCards()) {
+      if (document.body.dataset.page === 'creator-dashboard') loadCreatorDashboard();
+      const searchInput = document.getElementById('search-input');
+      refreshFeeds(searchInput ? searchInput.value.trim() : '');
+    }
+  };
+
+  const commit = async ({ keepalive = false } = {}) => {
+    pendingPhotoDeletes.delete(photoId);
+    try {
+      await deletePhotoRecord(photoId, { keepalive });
+      photoCache.delete(photoId);
+    } catch (error) {
+      restore();
+      showToast(error.message);
+    }
+  };
+
+  pendingPhotoDeletes.set(photoId, {
+    timer: setTimeout(commit, PHOTO_DELETE_UNDO_DELAY),
+    commit,
+  });
+  window.addEventListener('pagehide', flushPendingPhotoDeletes);
+
+  showToast('Photo deleted.', {
+    actionLabel: 'Undo',
+    duration: PHOTO_DELETE_UNDO_DELAY,
+    onAction: () => {
+      const pending = pendingPhotoDeletes.get(photoId);
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      pendingPhotoDeletes.delete(photoId);
+      restore();
+      announce('Photo restored.');
+    },
+  });
+}
+
+function openPhotoEditor(photo) {
+  bindCreatePostModal();
+  createPostModal?.edit(photo);
+}
+
+const photoCache = new Map();
+const LIGHTBOX_MAX_SCALE = 5;
+const LIGHTBOX_SWIPE_THRESHOLD = 60;
+const lightbox = {
+  el: null,
+  stage: null,
+  image: null,
+  container: null,
+  photoId: null,
+  scale: 1,
+  x: 0,
+  y: 0,
+  pointers: new Map(),
+  gesture: null,
+  historyEntry: false,
+  lastFocus: null,
+};
+
+function isLightboxOpen() {
+  return Boolean(lightbox.el && !lightbox.el.classList.contains('hidden'));
+}
+
+function applyLightboxTransform() {
+  lightbox.image.style.transform =
+    `translate(${lightbox.x}px, ${lightbox.y}px) scale(${lightbox.scale})`;
+  lightbox.el.classList.toggle('is-zoomed', lightbox.scale > 1);
+}
+
+function clampLightboxPan() {
+  const { image, stage, scale } = lightbox;
+  const maxX = Math.max(0, (image.offsetWidth * scale - stage.clientWidth) / 2);
+  const maxY = Math.max(0, (image.offsetHeight * scale - stage.clientHeight) / 2);
+  lightbox.x = Math.min(maxX, Math.max(-maxX, lightbox.x));
+  lightbox.y = Math.min(maxY, Math.max(-maxY, lightbox.y));
+}
+
+function zoomLightbox(nextScale, origin) {
+  const scale = Math.min(LIGHTBOX_MAX_SCALE, Math.max(1, nextScale));
+  const rect = lightbox.stage.getBoundingClientRect();
+  const centerX = rect.left + rect.width / 2;
+  const centerY = rect.top + rect.height / 2;
+  const pointX = (origin?.x ?? centerX) - centerX;
+  const pointY = (origin?.y ?? centerY) - centerY;
+
+  lightbox.x = pointX - (scale * (pointX - lightbox.x)) / lightbox.scale;
+  lightbox.y = pointY - (scale * (pointY - lightbox.y)) / lightbox.scale;
+  lightbox.scale = scale;
+  if (scale === 1) {
+    lightbox.x = 0;
+    lightbox.y = 0;
+  }
+  clampLightboxPan();
+  applyLightboxTransform();
+}
+
+function resetLightboxZoom() {
+  lightbox.scale = 1;
+  lightbox.x = 0;
+  lightbox.y = 0;
+  applyLightboxTransform();
+}
+
+function getLightboxSequence() {
+  const { container, photoId } = lightbox;
+  if (!container || !container.isConnected) return photoId ? [photoId] : [];
+  const ids = Array.from(container.querySelectorAll('.photo-card'))
+    .map((card) => card.dataset.id)
+    .filter(Boolean);
+  return ids.includes(photoId) ? ids : [photoId];
+}
+
+function buildLightboxUrl(photoId) {
+  const url = new URL(window.location.href);
+  if (photoId) {
+    url.searchParams.set('photo', photoId);
+  } else {
+    url.searchParams.delete('photo');
+  }
+  return url;
+}
+
+function updateLightboxControls() {
+  const sequence = getLightboxSequence();
+  const index = sequence.indexOf(lightbox.photoId);
+  const state = lightbox.container ? feedStates.get(lightbox.container.id) : null;
+  const hasMore = Boolean(state && !state.done);
+  lightbox.el.querySelector('[data-action="prev"]').disabled = index <= 0;
+  lightbox.el.querySelector('[data-action="next"]').disabled =
+    index === -1 || (index >= sequence.length - 1 && !hasMore);
+  lightbox.el.querySelector('.lightbox-counter').textContent =
+    sequence.length > 1 ? `${index + 1} / ${sequence.length}` : '';
+
+  [sequence[index - 1], sequence[index + 1]].forEach((id) => {
+    const neighbour = id ? photoCache.get(id) : null;
+    if (neighbour?.imageUrl) {
+      new Image().src = neighbour.imageUrl;
+    }
+  });
+}
+
+async function showLightboxPhoto(photoId) {
+  lightbox.photoId = photoId;
+  resetLightboxZoom();
+  const title = lightbox.el.querySelector('#lightbox-title');
+  const meta = lightbox.el.querySelector('.lightbox-meta');
+  const details = lightbox.el.querySelector('.lightbox-details');
+  details.href = `photo.html?id=${encodeURIComponent(photoId)}`;
+  updateLightboxControls();
+
+  let photo = photoCache.get(photoId);
+  if (!photo) {
+    title.textContent = 'Loading...';
+    meta.textContent = '';
+    lightbox.image.removeAttribute('src');
+    try {
+      photo = await api.get(`/photos/${encodeURIComponent(photoId)}`, {
+        errorMessage: 'Failed to load photo',
+      });
+      photoCache.set(photoId, photo);
+    } catch (error) {
+      if (lightbox.photoId === photoId) {
+        title.textContent = 'Unable to load photo';
+        meta.textContent = error.message;
+      }
+      return;
+    }
+    if (lightbox.photoId !== photoId) return;
+  }
+
+  lightbox.image.src = photo.imageUrl;
+  lightbox.image.alt = photo.title || 'Photo';
+  title.textContent = photo.title || 'Untitled';
+  meta.textContent = [photo.creator?.name || photo.creatorName, photo.location]
+    .filter(Boolean)
+    .join(' · ');
+  updateLightboxControls();
+}
+
+async function stepLightbox(direction) {
+  let sequence = getLightboxSequence();
+  const index = sequence.indexOf(lightbox.photoId);
+  if (direction > 0 && index === sequence.length - 1 && lightbox.container) {
+    const state = feedStates.get(lightbox.container.id);
+    if (state && !state.done) {
+      await loadNextFeedPage(lightbox.container, state);
+      sequence = getLightboxSequence();
+    }
+  }
+
+  const nextId = sequence[index + direction];
+  if (!nextId || !isLightboxOpen()) return;
+  window.history.replaceState(window.history.state, '', buildLightboxUrl(nextId));
+  showLightboxPhoto(nextId);
+}
+
+function handleLightboxKeydown(event) {
+  switch (event.key) {
+    case 'Escape':
+      event.preventDefault();
+      closeLightbox();
+      break;
+    case 'ArrowLeft':
+      event.preventDefault();
+      stepLightbox(-1);
+      break;
+    case 'ArrowRight':
+      event.preventDefault();
+      stepLightbox(1);
+      break;
+    case '+':
+    case '=':
+      zoomLightbox(lightbox.scale * 1.5);
+      break;
+    case '-':
+      zoomLightbox(lightbox.scale / 1.5);
+      break;
+    case '0':
+      resetLightboxZoom();
+      break;
+    case 'Tab': {
+      const focusable = Array.from(
+        lightbox.el.querySelectorAll('button:not([disabled]), a[href]'),
+      );
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+function bindLightboxGestures(stage) {
+  const distance = () => {
+    const [a, b] = Array.from(lightbox.pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+  const midpoint = () => {
+    const [a, b] = Array.from(lightbox.pointers.values());
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  };
+
+  stage.addEventListener('pointerdown', (event) => {
+    if (event.target.closest('button, a')) return;
+    stage.setPointerCapture?.(event.pointerId);
+    lightbox.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (lightbox.pointers.size === 2) {
+      lightbox.gesture = { type: 'pinch', distance: distance(), scale: lightbox.scale };
+    } else if (lightbox.pointers.size === 1) {
+      lightbox.gesture = {
+        type: lightbox.scale > 1 ? 'pan' : 'swipe',
+        startX: event.clientX,
+        startY: event.clientY,
+        originX: lightbox.x,
+        originY: lightbox.y,
+      };
+    }
+  });
+
+  stage.addEventListener('pointermove', (event) => {
+    if (!lightbox.pointers.has(event.pointerId)) return;
+    lightbox.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    const { gesture } = lightbox;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch' && lightbox.pointers.size === 2) {
+      zoomLightbox((gesture.scale * distance()) / gesture.distance, midpoint());
+    } else if (gesture.type === 'pan') {
+      lightbox.x = gesture.originX + event.clientX - gesture.startX;
+      lightbox.y = gesture.originY + event.clientY - gesture.startY;
+      clampLightboxPan();
+      applyLightboxTransform();
+    } else if (gesture.type === 'swipe') {
+      lightbox.x = event.clientX - gesture.startX;
+      applyLightboxTransform();
+    }
+  });
+
+  const endPointer = (event) => {
+    if (!lightbox.pointers.has(event.pointerId)) return;
+    lightbox.pointers.delete(event.pointerId);
+    const { gesture } = lightbox;
+    if (gesture?.type === 'swipe') {
+      const deltaX = event.clientX - gesture.startX;
+      const deltaY = event.clientY - gesture.startY;
+      resetLightboxZoom();
+      if (Math.abs(deltaX) > LIGHTBOX_SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+        stepLightbox(deltaX < 0 ? 1 : -1);
+      }
+    }
+    lightbox.gesture = null;
+  };
+  stage.addEventListener('pointerup', endPointer);
+  stage.addEventListener('pointercancel', endPointer);
+
+  stage.addEventListener(
+    'wheel',
+    (event) => {
+      event.preventDefault();
+      zoomLightbox(lightbox.scale * Math.exp(-event.deltaY * 0.002), {
+        x: event.clientX,
+        y: event.clientY,
+      });
+    },
+    { passive: false },
+  );
+
+  stage.addEventListener('dblclick', (event) => {
+    if (lightbox.scale > 1) {
+      resetLightboxZoom();
+    } else {
+      zoomLightbox(2.5, { x: event.clientX, y: event.clientY });
+    }
+  });
+}
+
+function ensureLightbox() {
+  if (lightbox.el) return lightbox.el;
+
+  const el = document.createElement('div');
+  el.id = 'lightbox';
+  el.className = 'lightbox hidden';
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-modal', 'true');
+  el.setAttribute('aria-labelledby', 'lightbox-title');
+  el.dataset.persist = 'true';
+  el.innerHTML = `
+    <div class="lightbox-stage">
+      <img class="lightbox-image" alt="" draggable="false" />
+    </div>
+    <button type="button" class="lightbox-btn lightbox-close" data-action="close" aria-label="Close viewer">
+      ×
+    </button>
+    <button type="button" class="lightbox-btn lightbox-prev" data-action="prev" aria-label="Previous photo">
+      ‹
+    </button>
+    <button type="button" class="lightbox-btn lightbox-next" data-action="next" aria-label="Next photo">
+      ›
+    </button>
+    <div class="lightbox-zoom" role="group" aria-label="Zoom">
+      <button type="button" class="lightbox-btn" data-action="zoom-out" aria-label="Zoom out">−</button>
+      <button type="button" class="lightbox-btn" data-action="zoom-reset" aria-label="Fit to screen">⤢</button>
+      <button type="button" class="lightbox-btn" data-action="zoom-in" aria-label="Zoom in">+</button>
+    </div>
+    <div class="lightbox-caption">
+      <div>
+        <h2 id="lightbox-title"></h2>
+        <p class="lightbox-meta"></p>
+      </div>
+      <div class="lightbox-caption-actions">
+        <span class="lightbox-counter"></span>
+        <a class="btn btn-primary lightbox-details" href="#">View details</a>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(el);
+
+  lightbox.el = el;
+  lightbox.stage = el.querySelector('.lightbox-stage');
+  lightbox.image = el.querySelector('.lightbox-image');
+
+  el.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    switch (button.dataset.action) {
+      case 'close':
+        closeLightbox();
+        break;
+      case 'prev':
+        stepLightbox(-1);
+        break;
+      case 'next':
+        stepLightbox(1);
+        break;
+      case 'zoom-in':
+        zoomLightbox(lightbox.scale * 1.5);
+        break;
+      case 'zoom-out':
+        zoomLightbox(lightbox.scale / 1.5);
+        break;
+      case 'zoom-reset':
+        resetLightboxZoom();
+        break;
+      default:
+        break;
+    }
+  });
+  el.addEventListener('keydown', handleLightboxKeydown);
+  bindLightboxGestures(lightbox.stage);
+  return el;
+}
+
+function openLightbox(photoId, { container = null, fromHistory = false } = {}) {
+  const el = ensureLightbox();
+  if (!isLightboxOpen()) {
+    lightbox.lastFocus = document.activeElement;
+  }
+  if (container) lightbox.container = container;
+
+  el.classList.remove('hidden');
+  document.body.classList.add('modal-open');
+  showLightboxPhoto(photoId);
+  el.querySelector('[data-action="close"]').focus();
+
+  if (!fromHistory) {
+    window.history.pushState(
+      { ...(window.history.state || {}), lightbox: photoId },
+      '',
+      buildLightboxUrl(photoId),
+    );
+    lightbox.historyEntry = true;
+  }
+}
+
+function closeLightbox({ fromHistory = false } = {}) {
+  if (!isLightboxOpen()) return;
+  if (!fromHistory) {
+    if (lightbox.historyEntry) {
+      window.history.back();
+      return;
+    }
+    window.history.replaceState(window.history.state, '', buildLightboxUrl(null));
+  }
+
+  lightbox.historyEntry = false;
+  lightbox.el.classList.add('hidden');
+  lightbox.image.removeAttribute('src');
+  lightbox.pointers.clear();
+  lightbox.gesture = null;
+  if (!document.querySelector('.modal:not(.hidden)')) {
+    document.body.classList.remove('modal-open');
+  }
+  lightbox.lastFocus?.focus?.();
+  lightbox.lastFocus = null;
+}
+
+function syncLightboxWithUrl() {
+  const photoId = new URLSearchParams(window.location.search).get('photo');
+  if (!photoId) {
+    closeLightbox({ fromHistory: true });
+    return;
+  }
+  const container = lightbox.container?.isConnected
+    ? lightbox.container
+    : document.querySelector('.photo-grid');
+  openLightbox(photoId, { container, fromHistory: true });
+}
+
+const FEED_PAGE_SIZE = 12;
+const FEED_EMPTY_PAGE_LIMIT = 3;
+const FEED_SOURCES = {
+  everyone: { endpoint: '/photos', emptyMessage: 'No photos found.' },
+  following: {
+    endpoint: '/photos/following',
+    emptyMessage: 'No posts yet from people you follow. Follow creators to fill this feed.',
+  },
+};
+const feedStates = new Map();
+
+function normalizePhotoPage(payload, { page, limit }) {
+  if (Array.isArray(payload)) {
+    return {
+      photos: payload,
+      nextCursor: null,
+      hasMore: payload.length >= limit,
+    };
+  }
+
+  const photos = payload?.photos || payload?.items || payload?.data || [];
+  const nextCursor = payload?.nextCursor || null;
+  let hasMore;
+  if (typeof payload?.hasMore === 'boolean') {
+    hasMore = payload.hasMore;
+  } else if (nextCursor) {
+    hasMore = true;
+  } else if (payload?.totalPages) {
+    hasMore = page < payload.totalPages;
+  } else {
+    hasMore = photos.length >= limit;
+  }
+
+  return { photos, nextCursor, hasMore };
+}
+
+async function fetchPhotoPage({
+  endpoint = '/photos',
+  query = '',
+  page = 1,
+  cursor = null,
+  limit = FEED_PAGE_SIZE,
+  signal,
+  cache,
+} = {}) {
+  const params = buildSearchParams(query);
+  params.set('limit', String(limit));
+  if (cursor) {
+    params.set('cursor', cursor);
+  } else {
+    params.set('page', String(page));
+  }
+
+  const payload = await api.get(`${endpoint}?${params.toString()}`, {
+    signal,
+    cache,
+    errorMessage: 'Failed to fetch photos',
+  });
+  return normalizePhotoPage(payload, { page, limit });
+}
+
+function ensureFeedFooter(grid) {
+  const existing = grid.nextElementSibling;
+  if (existing && existing.classList.contains('feed-footer')) {
+    return existing;
+  }
+
+  const footer = document.createElement('div');
+  footer.className = 'feed-footer';
+  footer.addEventListener('click', (event) => {
+    if (!event.target.closest('button[data-action="load-more"]')) return;
+    const state = feedStates.get(grid.id);
+    if (state) loadNextFeedPage(grid, state);
+  });
+  grid.insertAdjacentElement('afterend', footer);
+  return footer;
+}
+
+function setFeedFooterState(footer, status, message = '') {
+  footer.dataset.status = status;
+  footer.classList.toggle('hidden', status === 'hidden');
+  switch (status) {
+    case 'loading':
+      footer.innerHTML = '<p class="muted small">Loading more photos...</p>';
+      break;
+    case 'end':
+      footer.innerHTML = '<p class="feed-end muted small">You\'re all caught up.</p>';
+      break;
+    case 'error':
+      footer.innerHTML = `
+        <p class="muted small">${escapeHtml(message || 'Unable to load more photos.')}</p>
+        <button type="button" class="btn btn-ghost" data-action="load-more">Retry</button>
+      `;
+      break;
+    case 'idle':
+      footer.innerHTML = 'IntersectionObserver' in window
+        ? ''
+        : '<button type="button" class="btn btn-ghost" data-action="load-more">Load more</button>';
+      break;
+    default:
+      footer.innerHTML = '';
+      break;
+  }
+}
+
+async function loadNextFeedPage(grid, state) {
+  if (state.loading || state.done) return;
+  state.loading = true;
+  const isFirstPage = state.pagesLoaded === 0;
+  if (!isFirstPage) setFeedFooterState(state.footer, 'loading');
+
+  try {
+    const result = await fetchPhotoPage({
+      endpoint: state.endpoint,
+      query: state.query,
+      page: state.page,
+      cursor: state.cursor,
+      signal: state.controller.signal,
     });
-  if (!links.length) return '';
-  return `<div class="people-list">With ${links.join(', ')}</div>`;
+    if (feedStates.get(grid.id) !== state) return;
+
+    const fresh = result.photos.filter((photo) => {
+      if (!photo) return false;
+      if (!photo._id) return true;
+      if (state.seenIds.has(photo._id)) return false;
+      state.seenIds.add(photo._id);
+      return true;
+    });
+
+    renderPhotoGrid(grid, fresh, { emptyMessage: state.emptyMessage, append: !isFirstPage });
+    state.pagesLoaded += 1;
+    state.page += 1;
+    state.cursor = result.nextCursor;
+    state.emptyPages = fresh.length ? 0 : state.emptyPages + 1;
+    state.done = !result.hasMore;
+
+    if (state.done) {
+      setFeedFooterState(state.footer, state.seenIds.size || !isFirstPage ? 'end' : 'hidden');
+    } else {
+      setFeedFooterState(state.footer, 'idle');
+    }
+  } catch (error) {
+    if (isAbortError(error) || feedStates.get(grid.id) !== state) return;
+    if (isFirstPage) {
+      grid.innerHTML =
+        error instanceof NetworkError && isOffline()
+          ? `<p class="empty-state">You're offline, and this feed hasn't been saved for offline viewing yet.</p>`
+          : `<p class="empty-state">Error loading photos. ${escapeHtml(error.message)}</p>`;
+      setFeedFooterState(state.footer, 'hidden');
+    } else {
+      setFeedFooterState(state.footer, 'error', error.message);
+    }
+  } finally {
+    state.loading = false;
+  }
+
+  if (
+    feedStates.get(grid.id) === state &&
+    !state.done &&
+    state.observer &&
+    state.emptyPages < FEED_EMPTY_PAGE_LIMIT
+  ) {
+    // Re-observing forces a fresh intersection check when the sentinel is still on screen.
+    state.observer.unobserve(state.footer);
+    state.observer.observe(state.footer);
+  }
+}
+
+async function loadFeed(query = '', options = {}) {
+  const { containerId = 'photo-grid', endpoint = '/photos', emptyMessage } = options;
+  const grid = document.getElementById(containerId);
+  if (!grid) return;
+
+  const previous = feedStates.get(containerId);
+  previous?.observer?.disconnect();
+  previous?.controller.abort();
+
+  const state = {
+    endpoint,
+    query,
+    emptyMessage: emptyMessage || 'No photos found.',
+    page: 1,
+    cursor: null,
+    pagesLoaded: 0,
+    emptyPages: 0,
+    done: false,
+    loading: false,
+    seenIds: new Set(),
+    newIds: new Set(),
+    checkingNew: false,
+    recheckNew: false,
+    footer: ensureFeedFooter(grid),
+    observer: null,
+    controller: new AbortController(),
+  };
+  feedStates.set(containerId, state);
+
+  grid.innerHTML = '<p class="empty-state">Loading photos...</p>';
+  setFeedFooterState(state.footer, 'hidden');
+  renderNewPhotosBanner(grid, state);
+
+  if ('IntersectionObserver' in window) {
+    state.observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadNextFeedPage(grid, state);
+        }
+      },
+      { rootMargin: '0px 0px 400px 0px' },
+    );
+  }
+
+  await loadNextFeedPage(grid, state);
+}
+
+function stopFeed(containerId) {
+  const state = feedStates.get(containerId);
+  if (!state) return;
+  state.observer?.disconnect();
+  state.controller.abort();
+  setFeedFooterState(state.footer, 'hidden');
+  state.newIds.clear();
+  const grid = document.getElementById(containerId);
+  if (grid) renderNewPhotosBanner(grid, state);
+  feedStates.delete(containerId);
+}
+
+function ensureNewPhotosBanner(grid) {
+  const existing = grid.previousElementSibling;
+  if (existing?.classList.contains('new-photos-banner')) return existing;
+
+  const banner = document.createElement('button');
+  banner.type = 'button';
+  banner.className = 'new-photos-banner hidden';
+  banner.addEventListener('click', () => {
+    const state = feedStates.get(grid.id);
+    if (!state) return;
+    loadFeed(state.query, {
+      containerId: grid.id,
+      endpoint: state.endpoint,
+      emptyMessage: state.emptyMessage,
+    });
+    grid.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+  });
+  grid.insertAdjacentElement('beforebegin', banner);
+  return banner;
+}
+
+function renderNewPhotosBanner(grid, state) {
+  const banner = ensureNewPhotosBanner(grid);
+  const count = state.newIds.size;
+  banner.textContent = `${count} new photo${count === 1 ? '' : 's'} — show`;
+  banner.classList.toggle('hidden', !count);
+}
+
+function receiveNewPhoto(containerId, photo) {
+  const grid = document.getElementById(containerId);
+  const state = feedStates.get(containerId);
+  if (!grid || !state || !photo?._id || isScheduledPhoto(photo)) return;
+  if (state.seenIds.has(photo._id) || state.newIds.has(photo._id)) return;
+  state.newIds.add(photo._id);
+  renderNewPhotosBanner(grid, state);
+}
+
+async function checkForNewPhotos(containerId) {
+  const state = feedStates.get(containerId);
+  if (!state || state.loading) return;
+  if (state.checkingNew) {
+    state.recheckNew = true;
+    return;
+  }
+  state.checkingNew = true;
+  try {
+    const { photos } = await fetchPhotoPage({
+      endpoint: state.endpoint,
+      query: state.query,
+      signal: state.controller.signal,
+      cache: 'no-store',
+    });
+    photos.forEach((photo) => receiveNewPhoto(containerId, photo));
+  } catch (error) {
+    if (!isAbortError(error)) console.warn(error.message);
+  } finally {
+    state.checkingNew = false;
+  }
+  if (state.recheckNew && feedStates.get(containerId) === state) {
+    state.recheckNew = false;
+    checkForNewPhotos(containerId);
+  }
+}
+
+function watchFeedUpdates(containerId, { channel = 'photos', isActive = () => true, signal } = {}) {
+  subscribeRealtime(
+    channel,
+    (message) => {
+      if (message.type === 'like.updated') {
+        receiveLikePayload({ _id: message.photoId, likes: message.likes });
+      }
+      if (!isActive()) return;
+      if (message.type === 'photo.created') {
+        if (feedStates.get(containerId)?.query) {
+          checkForNewPhotos(containerId);
+        } else {
+          receiveNewPhoto(containerId, message.photo);
+        }
+      } else if (message.type === 'resync') {
+        checkForNewPhotos(containerId);
+      }
+    },
+    { signal },
+  );
+}
+
+const LEAFLET_BASE = 'https://unpkg.com/leaflet@1.9.4/dist';
+const LEAFLET_INTEGRITY = {
+  css: 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=',
+  js: 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=',
+};
+const DEFAULT_MAP_TILES = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_PHOTO_LIMIT = 200;
+const MAP_GEOCODE_LIMIT = 10;
+const MAP_CLUSTER_CELL = 64;
+const MAP_POPUP_PHOTO_LIMIT = 12;
+let leafletPromise = null;
+
+const feedMap = {
+  active: false,
+  map: null,
+  layer: null,
+  query: '',
+  controller: null,
+  moveTimer: null,
+  fitted: false,
+  photos: new Map(),
+  geocoded: new Map(),
+};
+
+function toCoordinate(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  return Number(value);
+}
+
+function getPhotoCoordinates(photo) {
+  if (!photo) return null;
+  const lat = toCoordinate(photo.coordinates?.lat ?? photo.latitude ?? photo.lat);
+  const lon = toCoordinate(
+    photo.coordinates?.lon ?? photo.coordinates?.lng ?? photo.longitude ?? photo.lon,
+  );
+  if (Number.isFinite(lat) && Number.isFinite(lon)) return { lat, lon };
+  return feedMap.geocoded.get(photo._id) || null;
+}
+
+function loadLeaflet() {
+  if (window.L) return Promise.resolve(window.L);
+  if (!leafletPromise) {
+    leafletPromise = new Promise((resolve, reject) => {
+      const stylesheet = document.createElement('link');
+      stylesheet.rel = 'stylesheet';
+      stylesheet.href = `${LEAFLET_BASE}/leaflet.css`;
+      stylesheet.integrity = LEAFLET_INTEGRITY.css;
+      stylesheet.crossOrigin = '';
+      document.head.appendChild(stylesheet);
+
+      const script = document.createElement('script');
+      script.src = `${LEAFLET_BASE}/leaflet.js`;
+      script.integrity = LEAFLET_INTEGRITY.js;
+      script.crossOrigin = '';
+      script.async = true;
+      script.onload = () => resolve(window.L);
+      script.onerror = () => {
+        leafletPromise = null;
+        script.remove();
+        reject(new NetworkError('Unable to load the map. Check your connection.'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return leafletPromise;
+}
+
+function setMapStatus(message) {
+  const status = document.getElementById('map-status');
+  if (!status) return;
+  status.textContent = message;
+  status.classList.toggle('hidden', !message);
+}
+
+function clusterPhotos(map, photos) {
+  const buckets = new Map();
+  photos.forEach((photo) => {
+    const coordinates = getPhotoCoordinates(photo);
+    const point = map.latLngToLayerPoint([coordinates.lat, coordinates.lon]);
+    const key = `${Math.floor(point.x / MAP_CLUSTER_CELL)}:${Math.floor(point.y / MAP_CLUSTER_CELL)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(photo);
+  });
+
+  return Array.from(buckets.values()).map((items) => {
+    const total = items.reduce(
+      (sum, photo) => {
+        const coordinates = getPhotoCoordinates(photo);
+        return { lat: sum.lat + coordinates.lat, lon: sum.lon + coordinates.lon };
+      },
+      { lat: 0, lon: 0 },
+    );
+    return {
+      photos: items,
+      lat: total.lat / items.length,
+      lon: total.lon / items.length,
+    };
+  });
+}
+
+function buildClusterPopup(cluster) {
+  const popup = document.createElement('div');
+  popup.className = 'map-popup';
+  if (cluster.photos.length === 1) {
+    renderPhotoGrid(popup, cluster.photos);
+    return popup;
+  }
+
+  const shown = cluster.photos.slice(0, MAP_POPUP_PHOTO_LIMIT);
+  popup.innerHTML = `
+    <p class="muted small">
+      ${cluster.photos.length} photos here${cluster.photos.length > shown.length ? `, showing ${shown.length}` : ''}
+    </p>
+    <div class="photo-grid compact map-popup-grid"></div>
+    <button type="button" class="btn btn-ghost" data-action="zoom-cluster">Zoom in</button>
+  `;
+  renderPhotoGrid(popup.querySelector('.map-popup-grid'), shown);
+  popup.querySelector('[data-action="zoom-cluster"]').addEventListener('click', () => {
+    const bounds = window.L.latLngBounds(
+      cluster.photos.map((photo) => {
+        const coordinates = getPhotoCoordinates(photo);
+        return [coordinates.lat, coordinates.lon];
+      }),
+    );
+    feedMap.map.closePopup();
+    feedMap.map.fitBounds(bounds.pad(0.2), { maxZoom: 16 });
+  });
+  return popup;
+}
+
+function renderMapMarkers(photos) {
+  const { map, layer } = feedMap;
+  layer.clearLayers();
+  clusterPhotos(map, photos).forEach((cluster) => {
+    const single = cluster.photos.length === 1;
+    const [first] = cluster.photos;
+    const icon = window.L.divIcon({
+      className: `map-marker ${single ? 'map-marker-photo' : 'map-marker-cluster'}`,
+      html: single
+        ? `<img src="${escapeHtml(first.imageUrl)}" alt="" />`
+        : `<span>${cluster.photos.length}</span>`,
+      iconSize: single ? [44, 44] : [40, 40],
+    });
+    const label = single
+      ? first.title || 'Photo'
+      : `${cluster.photos.length} photos`;
+    window.L.marker([cluster.lat, cluster.lon], { icon, title: label, keyboard: true })
+      .bindPopup(() => buildClusterPopup(cluster), {
+        maxWidth: single ? 300 : 480,
+        minWidth: single ? 240 : 300,
+        autoPanPadding: [24, 24],
+      })
+      .addTo(layer);
+  });
+}
+
+function renderMapArea() {
+  const grid = document.getElementById('photo-grid');
+  if (!feedMap.map || !grid) return;
+
+  const bounds = feedMap.map.getBounds();
+  const visible = Array.from(feedMap.photos.values()).filter((photo) => {
+    const coordinates = getPhotoCoordinates(photo);
+    return coordinates && bounds.contains([coordinates.lat, coordinates.lon]);
+  });
+
+  renderMapMarkers(visible);
+  renderPhotoGrid(grid, visible, {
+    emptyMessage: 'No photos in this area. Zoom out or pan the map to find more.',
+  });
+  setMapStatus(`${visible.length} photo${visible.length === 1 ? '' : 's'} in view`);
+}
+
+async function geocodeMissingCoordinates(photos, signal) {
+  const byLocation = new Map();
+  photos.forEach((photo) => {
+    if (!photo.location || getPhotoCoordinates(photo)) return;
+    const key = photo.location.trim();
+    if (!byLocation.has(key)) byLocation.set(key, []);
+    byLocation.get(key).push(photo);
+  });
+
+  let resolved = 0;
+  for (const location of Array.from(byLocation.keys()).slice(0, MAP_GEOCODE_LIMIT)) {
+    try {
+      const [place] = await getGeocoder().search(location, { signal });
+      if (place && Number.isFinite(place.lat) && Number.isFinite(place.lon)) {
+        byLocation.get(location).forEach((photo) => {
+          feedMap.geocoded.set(photo._id, { lat: place.lat, lon: place.lon });
+        });
+        resolved += 1;
+      }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+    }
+  }
+  return resolved;
+}
+
+function getMapBoundingBox() {
+  const bounds = feedMap.map.getBounds();
+  return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+    .map((value) => value.toFixed(4))
+    .join(',');
+}
+
+async function refreshMapPhotos() {
+  if (!feedMap.map) return;
+  feedMap.controller?.abort();
+  feedMap.controller = new AbortController();
+  const { signal } = feedMap.controller;
+
+  const params = buildSearchParams(feedMap.query);
+  params.set('limit', String(MAP_PHOTO_LIMIT));
+  if (feedMap.fitted) params.set('bbox', getMapBoundingBox());
+
+  try {
+    setMapStatus('Loading photos...');
+    const payload = await api.get(`${FEED_SOURCES[getFeedSource()].endpoint}?${params.toString()}`, {
+      signal,
+      errorMessage: 'Failed to fetch photos',
+    });
+    const { photos } = normalizePhotoPage(payload, { page: 1, limit: MAP_PHOTO_LIMIT });
+    photos.forEach((photo) => {
+      if (photo?._id) feedMap.photos.set(photo._id, photo);
+    });
+
+    if (!feedMap.fitted) {
+      feedMap.fitted = true;
+      const located = photos.filter((photo) => getPhotoCoordinates(photo));
+      if (located.length) fitMapToPhotos(located);
+    }
+    renderMapArea();
+
+    if (await geocodeMissingCoordinates(photos, signal)) {
+      renderMapArea();
+    }
+  } catch (error) {
+    if (isAbortError(error)) return;
+    setMapStatus(`Error loading photos. ${error.message}`);
+  }
+}
+
+function fitMapToPhotos(photos) {
+  const bounds = window.L.latLngBounds(
+    photos.map((photo) => {
+      const coordinates = getPhotoCoordinates(photo);
+      return [coordinates.lat, coordinates.lon];
+    }),
+  );
+  feedMap.map.fitBounds(bounds.pad(0.1), { maxZoom: 12 });
+}
+
+async function showFeedMap(query = '') {
+  const mapEl = document.getElementById('photo-map');
+  if (!mapEl) return;
+
+  feedMap.active = true;
+  feedMap.query = query;
+  feedMap.photos.clear();
+  feedMap.fitted = false;
+  stopFeed('photo-grid');
+  mapEl.classList.remove('hidden');
+  setMapStatus('Loading map...');
+
+  let L;
+  try {
+    L = await loadLeaflet();
+  } catch (error) {
+    setMapStatus(error.message);
+    return;
+  }
+  if (!feedMap.active) return;
+
+  if (!feedMap.map) {
+    feedMap.map = L.map(mapEl, { worldCopyJump: true }).setView([20, 0], 2);
+    L.tileLayer(readMetaContent('photoshare-map-tiles') || DEFAULT_MAP_TILES, {
+      maxZoom: 18,
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    }).addTo(feedMap.map);
+    feedMap.layer = L.layerGroup().addTo(feedMap.map);
+    feedMap.map.on('moveend', () => {
+      clearTimeout(feedMap.moveTimer);
+      feedMap.moveTimer = setTimeout(() => {
+        if (feedMap.active) refreshMapPhotos();
+      }, 300);
+    });
+  } else {
+    feedMap.map.invalidateSize();
+  }
+
+  refreshMapPhotos();
+}
+
+function hideFeedMap() {
+  feedMap.active = false;
+  feedMap.controller?.abort();
+  clearTimeout(feedMap.moveTimer);
+  feedMap.map?.closePopup();
+  document.getElementById('photo-map')?.classList.add('hidden');
+  setMapStatus('');
+}
+
+function destroyFeedMap() {
+  hideFeedMap();
+  feedMap.map?.remove();
+  feedMap.map = null;
+  feedMap.layer = null;
+}
+
+function setFeedView(view, { query = '', updateUrl = true } = {}) {
+  const mode = view === 'map' ? 'map' : 'grid';
+  document.querySelectorAll('[data-feed-view]').forEach((button) => {
+    const active = button.dataset.feedView === mode;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
+
+  if (updateUrl) {
+    const url = new URL(window.location.href);
+    if (mode === 'map') {
+      url.searchParams.set('view', 'map');
+    } else {
+      url.searchParams.delete('view');
+    }
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  if (mode === 'map') {
+    showFeedMap(query);
+  } else {
+    hideFeedMap();
+    loadFeed(query, FEED_SOURCES[getFeedSource()]);
+  }
+}
+
+function getFeedSource() {
+  const source = new URLSearchParams(window.location.search).get('feed');
+  return source === 'following' && getToken() ? 'following' : 'everyone';
+}
+
+function renderFeedSource(source) {
+  document.querySelectorAll('[data-feed-source]').forEach((button) => {
+    const active = button.dataset.feedSource === source;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
+}
+
+function bindFeedSourceToggle() {
+  renderFeedSource(getFeedSource());
+  document.querySelectorAll('[data-feed-source]').forEach((button) => {
+    button.addEventListener('click', () => {
+      const source = button.dataset.feedSource;
+      if (source === getFeedSource()) return;
+      const url = new URL(window.location.href);
+      if (source === 'everyone') {
+        url.searchParams.delete('feed');
+      } else {
+        url.searchParams.set('feed', source);
+      }
+      window.history.replaceState(window.history.state, '', url);
+      renderFeedSource(source);
+      feedMap.fitted = false;
+      const searchInput = document.getElementById('search-input');
+      refreshFeeds(searchInput ? searchInput.value.trim() : '');
+    });
+  });
+}
+
+function bindFeedViewToggle() {
+  const buttons = document.querySelectorAll('[data-feed-view]');
+  buttons.forEach((button) => {
+    button.addEventListener('click', () => {
+      const mode = button.dataset.feedView;
+      if ((mode === 'map') === feedMap.active) return;
+      const searchInput = document.getElementById('search-input');
+      setFeedView(mode, { query: searchInput ? searchInput.value.trim() : '' });
+    });
+  });
+}
+
+function refreshFeeds(query = '') {
+  if (feedMap.active) {
+    feedMap.query = query;
+    feedMap.photos.clear();
+    refreshMapPhotos();
+  } else if (document.getElementById('photo-grid')) {
+    loadFeed(query, FEED_SOURCES[getFeedSource()]);
+  }
+  if (document.getElementById('dashboard-photo-grid')) {
+    loadFeed(query, { containerId: 'dashboard-photo-grid', emptyMessage: 'No posts yet.' });
+  }
 }
 
-function renderPhotoCard(photo) {
-  const creatorName = photo.creator?.name || photo.creatorName || 'Unknown';
-  const creatorId = photo.creator?._id || photo.creator?.id;
-  const creatorLink = creatorId
-    ? `<a href="profile.html?id=${encodeURIComponent(creatorId)}">${escapeHtml(creatorName)}</a>`
-    : escapeHtml(creatorName);
+const LIKE_SYNC_LIMIT = 3;
+const likeStates = new Map();
+
+function readServerLikes(photo) {
+  const viewerId = localStorage.getItem('photoshare_user_id');
+  if (Array.isArray(photo?.likes)) {
+    return {
+      liked: Boolean(viewerId) && photo.likes.includes(viewerId),
+      count: photo.likes.length,
+      ids: photo.likes,
+    };
+  }
+  return { liked: false, count: Number(photo?.likes) || 0, ids: null };
+}
 
-  const likeCount = Array.isArray(photo.likes) ? photo.likes.length : photo.likes || 0;
-  const currentUserId = localStorage.getItem('photoshare_user_id');
-  const liked =
-    Boolean(currentUserId) &&
-    Array.isArray(photo.likes) &&
-    photo.likes.some((id) => id === currentUserId);
-  const caption = photo.caption ? escapeHtml(photo.caption.slice(0, 120)) : '';
-  const locationHtml = buildLocationMarkup(photo.location);
-  const peopleHtml = buildPeopleMarkup(photo.people);
+function seedLikeState(photo) {
+  if (!photo?._id) return;
+  const state = likeStates.get(photo._id);
+  if (state && (state.inflight || state.queued || state.liked !== state.server.liked)) return;
+  if (state && !Array.isArray(photo.likes)) return;
+  const server = readServerLikes(photo);
+  likeStates.set(photo._id, { server, liked: server.liked, inflight: null, queued: false });
+}
 
-  return `
-    <article class="photo-card" data-id="${photo._id}">
-      <img src="${photo.imageUrl}" alt="${escapeHtml(photo.title || 'Photo')}" />
-      <div class="card-body">
-        <div>
-          <h3>${escapeHtml(photo.title || 'Untitled')}</h3>
-          ${caption ? `<p class="muted">${caption}</p>` : ''}
-          ${locationHtml}
-          ${peopleHtml}
-        </div>
-        <div class="card-meta">
-          <span>${creatorLink}</span>
-          <button
-            type="button"
-            class="btn btn-like card-like-btn ${liked ? 'liked' : ''}"
-            data-photo-id="${photo._id}"
-            data-liked="${liked}"
-          >
-            <span class="icon">❤</span>
-            <span class="like-count">${likeCount}</span>
-          </button>
-        </div>
-      </div>
-    </article>
-  `;
+function adjustLikeIds(ids, liked) {
+  const viewerId = localStorage.getItem('photoshare_user_id');
+  if (!ids || !viewerId) return ids;
+  const others = ids.filter((id) => id !== viewerId);
+  return liked ? [...others, viewerId] : others;
 }
 
-function renderPhotoGrid(container, photos, { emptyMessage = 'No photos found.' } = {}) {
-  if (!container) return;
-  if (!Array.isArray(photos) || photos.length === 0) {
-    container.innerHTML = `<p class="empty-state">${escapeHtml(emptyMessage)}</p>`;
-    return;
+function getLikeState(photoId) {
+  const state = likeStates.get(photoId);
+  if (!state) return null;
+  let delta = 0;
+  if (state.liked !== state.server.liked) delta = state.liked ? 1 : -1;
+  return {
+    liked: state.liked,
+    count: Math.max(0, state.server.count + delta),
+    ids: delta ? adjustLikeIds(state.server.ids, state.liked) : state.server.ids,
+    pending: Boolean(state.inflight || state.queued),
+  };
+}
+
+function renderLikeButtons(photoId) {
+  const state = getLikeState(photoId);
+  if (!state) return;
+  document.querySelectorAll('.card-like-btn, #like-btn').forEach((button) => {
+    if (button.dataset.photoId !== photoId) return;
+    button.classList.toggle('liked', state.liked);
+    button.classList.toggle('is-pending', state.pending);
+    button.dataset.liked = String(state.liked);
+    button.setAttribute('aria-pressed', String(state.liked));
+    if (state.pending) {
+      button.title = 'Waiting to sync';
+    } else {
+      button.removeAttribute('title');
+    }
+  });
+  document.querySelectorAll('.like-count').forEach((countEl) => {
+    if (countEl.dataset.photoId === photoId) countEl.textContent = state.count;
+  });
+  if (document.getElementById('like-summary')?.dataset.photoId === photoId) {
+    renderLikeSummary(photoId);
   }
+}
 
-  container.innerHTML = photos.map((photo) => renderPhotoCard(photo)).join('');
-  container.querySelectorAll('.photo-card').forEach((card) => {
-    card.addEventListener('click', () => {
-      const id = card.getAttribute('data-id');
-      if (id) {
-        window.location.href = `photo.html?id=${id}`;
+function receiveLikePayload(photo) {
+  const state = likeStates.get(photo?._id);
+  if (!state || !Array.isArray(photo.likes)) {
+    seedLikeState(photo);
+  } else {
+    state.server = readServerLikes(photo);
+    state.queued = false;
+    if (!state.inflight) state.liked = state.server.liked;
+  }
+  renderLikeButtons(photo?._id);
+}
+
+async function syncLike(photoId) {
+  const state = likeStates.get(photoId);
+  try {
+    for (let attempt = 0; state.liked !== state.server.liked && attempt < LIKE_SYNC_LIMIT; attempt += 1) {
+      const { payload, queued } = await postOrQueue(
+        { type: 'like', photoId },
+        { errorMessage: 'Unable to update like' },
+      );
+      if (queued || !Array.isArray(payload?.likes)) {
+        if (queued) state.queued = !state.queued;
+        state.server = {
+          liked: !state.server.liked,
+          count: Math.max(0, state.server.count + (state.server.liked ? -1 : 1)),
+          ids: adjustLikeIds(state.server.ids, !state.server.liked),
+        };
+      } else {
+        state.server = readServerLikes(payload);
       }
-    });
-  });
-  bindCardLikeButtons(container);
+    }
+    state.liked = state.server.liked;
+  } catch (error) {
+    state.liked = state.server.liked;
+    showToast(error.message);
+  } finally {
+    state.inflight = null;
+    renderLikeButtons(photoId);
+  }
 }
 
-async function loadFeed(query = '', options = {}) {
-  const { containerId = 'photo-grid', emptyMessage } = options;
-  const grid = document.getElementById(containerId);
-  if (!grid) return;
+function toggleLike(photoId) {
+  if (!likeStates.has(photoId)) seedLikeState({ _id: photoId });
+  const state = likeStates.get(photoId);
+  state.liked = !state.liked;
+  if (!state.inflight) state.inflight = syncLike(photoId);
+  renderLikeButtons(photoId);
+  return state.inflight;
+}
 
+const LIKERS_PAGE_SIZE = 20;
+const LIKE_SUMMARY_AVATARS = 3;
+const likersModal = { el: null, photoId: null, ids: [], loaded: 0, requestId: 0, returnFocus: null };
+let likeSummaryRenderId = 0;
+
+async function renderLikeSummary(photoId) {
+  const summaryEl = document.getElementById('like-summary');
+  const state = getLikeState(photoId);
+  if (!summaryEl || !state) return;
+  likeSummaryRenderId += 1;
+  const renderId = likeSummaryRenderId;
+
+  if (!state.count) {
+    summaryEl.classList.add('hidden');
+    summaryEl.innerHTML = '';
+    return;
+  }
+
+  const viewerId = localStorage.getItem('photoshare_user_id');
+  const recent = state.ids ? [...state.ids].reverse() : [];
+  const featured = state.liked && viewerId
+    ? [viewerId, ...recent.filter((id) => id !== viewerId)]
+    : recent;
+  let users = [];
   try {
-    grid.innerHTML = '<p class="empty-state">Loading photos...</p>';
-    const qs = query ? `?q=${encodeURIComponent(query)}` : '';
-    const res = await fetch(`${API_BASE}/photos${qs}`);
-    if (!res.ok) throw new Error('Failed to fetch photos');
-    const photos = await res.json();
-    renderPhotoGrid(grid, photos, { emptyMessage: emptyMessage || 'No photos found.' });
+    users = (await lookupUsers(featured.slice(0, LIKE_SUMMARY_AVATARS))).filter(Boolean);
   } catch (error) {
-    grid.innerHTML = `<p class="empty-state">Error loading photos. ${escapeHtml(error.message)}</p>`;
+    console.warn(error.message);
   }
+  if (renderId !== likeSummaryRenderId) return;
+
+  const firstName = state.liked ? 'you' : users[0]?.name;
+  const others = state.count - 1;
+  let text = `${state.count} like${state.count === 1 ? '' : 's'}`;
+  if (firstName) {
+    text = `Liked by <strong>${escapeHtml(firstName)}</strong>`;
+    if (others > 0) text += ` and ${others} other${others === 1 ? '' : 's'}`;
+  }
+  summaryEl.innerHTML = `
+    <span class="liker-avatars" aria-hidden="true">
+      ${users.map((user) => `<img src="${escapeHtml(user.avatarUrl)}" alt="" />`).join('')}
+    </span>
+    <button type="button" class="link-btn" data-action="show-likers" data-photo-id="${escapeHtml(photoId)}">
+      ${text}
+    </button>
+  `;
+  summaryEl.classList.remove('hidden');
 }
 
-function refreshFeeds(query = '') {
-  if (document.getElementById('photo-grid')) {
-    loadFeed(query);
+function renderUserListItem(user, id) {
+  const viewerId = localStorage.getItem('photoshare_user_id');
+  const name = user?.name || 'Unknown user';
+  return `
+    <li class="user-list-item">
+      <img src="${escapeHtml(user?.avatarUrl || DEFAULT_AVATAR)}" alt="" class="user-list-avatar" />
+      <a href="profile.html?id=${encodeURIComponent(id)}">${escapeHtml(name)}</a>
+      ${id === viewerId ? '<span class="muted small">You</span>' : ''}
+    </li>
+  `;
+}
+
+function ensureLikersModal() {
+  if (likersModal.el) return likersModal.el;
+
+  const el = document.createElement('div');
+  el.id = 'likers-modal';
+  el.className = 'modal hidden';
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-modal', 'true');
+  el.setAttribute('aria-labelledby', 'likers-title');
+  el.dataset.persist = 'true';
+  el.innerHTML = `
+    <div class="modal-content likers-content">
+      <button type="button" class="modal-close" data-action="close-likers" aria-label="Close likes">
+        ×
+      </button>
+      <h2 id="likers-title">Liked by</h2>
+      <ul class="user-list"></ul>
+      <p class="likers-status muted small" aria-live="polite"></p>
+      <button type="button" class="btn btn-ghost hidden" data-action="more-likers">Show more</button>
+    </div>
+  `;
+  el.addEventListener('click', (event) => {
+    if (event.target === el || event.target.closest('[data-action="close-likers"]')) {
+      closeLikersModal();
+    } else if (event.target.closest('[data-action="more-likers"]')) {
+      loadMoreLikers();
+    } else if (event.target.closest('a')) {
+      closeLikersModal({ restoreFocus: false });
+    }
+  });
+  el.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeLikersModal();
+  });
+  document.body.appendChild(el);
+  likersModal.el = el;
+  return el;
+}
+
+async function loadMoreLikers() {
+  const { el, ids, requestId } = likersModal;
+  const list = el.querySelector('.user-list');
+  const status = el.querySelector('.likers-status');
+  const moreBtn = el.querySelector('[data-action="more-likers"]');
+  if (!ids.length) {
+    status.textContent = 'No likes yet.';
+    moreBtn.classList.add('hidden');
+    return;
   }
-  if (document.getElementById('dashboard-photo-grid')) {
-    loadFeed(query, { containerId: 'dashboard-photo-grid', emptyMessage: 'No posts yet.' });
+
+  const pageIds = ids.slice(likersModal.loaded, likersModal.loaded + LIKERS_PAGE_SIZE);
+  moreBtn.disabled = true;
+  status.textContent = 'Loading...';
+  try {
+    const users = await lookupUsers(pageIds);
+    if (requestId !== likersModal.requestId) return;
+    list.insertAdjacentHTML(
+      'beforeend',
+      users.map((user, index) => renderUserListItem(user, pageIds[index])).join(''),
+    );
+    likersModal.loaded += pageIds.length;
+    status.textContent = '';
+  } catch (error) {
+    if (requestId !== likersModal.requestId) return;
+    status.textContent = error.message;
+  } finally {
+    moreBtn.disabled = false;
+    moreBtn.classList.toggle('hidden', likersModal.loaded >= ids.length);
+  }
+}
+
+async function openLikersModal(photoId) {
+  const el = ensureLikersModal();
+  likersModal.requestId += 1;
+  const { requestId } = likersModal;
+  likersModal.photoId = photoId;
+  likersModal.ids = [];
+  likersModal.loaded = 0;
+  if (el.classList.contains('hidden')) likersModal.returnFocus = document.activeElement;
+  el.querySelector('.user-list').innerHTML = '';
+  el.querySelector('[data-action="more-likers"]').classList.add('hidden');
+  el.classList.remove('hidden');
+  document.body.classList.add('modal-open');
+  el.querySelector('.modal-close').focus();
+
+  if (!getLikeState(photoId)?.ids) {
+    el.querySelector('.likers-status').textContent = 'Loading...';
+    try {
+      const photo = await api.get(`/photos/${encodeURIComponent(photoId)}`, {
+        errorMessage: 'Unable to load likes',
+      });
+      if (requestId !== likersModal.requestId) return;
+      receiveLikePayload(photo);
+    } catch (error) {
+      if (requestId === likersModal.requestId) {
+        el.querySelector('.likers-status').textContent = error.message;
+      }
+      return;
+    }
   }
+
+  likersModal.ids = [...(getLikeState(photoId)?.ids || [])].reverse();
+  loadMoreLikers();
+}
+
+function closeLikersModal({ restoreFocus = true } = {}) {
+  const { el } = likersModal;
+  if (!el || el.classList.contains('hidden')) return;
+  likersModal.requestId += 1;
+  el.classList.add('hidden');
+  document.body.classList.toggle('modal-open', Boolean(document.querySelector('.modal:not(.hidden)')));
+  if (restoreFocus) likersModal.returnFocus?.focus?.();
+  likersModal.returnFocus = null;
+}
+
+function bindLikersTriggers() {
+  document.addEventListener('click', (event) => {
+    const trigger = event.target.closest('[data-action="show-likers"]');
+    if (!trigger?.dataset.photoId) return;
+    event.preventDefault();
+    openLikersModal(trigger.dataset.photoId);
+  });
 }
 
 function bindCardLikeButtons(container) {
-  container.querySelectorAll('.card-like-btn').forEach((button) => {
-    button.addEventListener('click', async (event) => {
+  container.querySelectorAll('.card-like-btn:not([data-bound])').forEach((button) => {
+    button.dataset.bound = 'true';
+    button.addEventListener('click', (event) => {
       event.stopPropagation();
-      const token = getToken();
-      if (!token) {
-        window.location.href = 'login.html';
+      if (!getToken()) {
+        navigateTo('login.html');
         return;
       }
-      const photoId = button.dataset.photoId;
-      try {
-        button.disabled = true;
-        const res = await fetchWithAuth(`/photos/${photoId}/like`, { method: 'POST' });
-        if (!res.ok) {
-          const message = (await res.json())?.message || 'Unable to toggle like';
-          throw new Error(message);
-        }
-        const updated = await res.json();
-        const userId = localStorage.getItem('photoshare_user_id');
-        const liked = Array.isArray(updated.likes) && userId
-          ? updated.likes.includes(userId)
-          : false;
-        button.classList.toggle('liked', liked);
-        button.dataset.liked = String(liked);
-        const countEl = button.querySelector('.like-count');
-        if (countEl) countEl.textContent = updated.likes.length;
-      } catch (error) {
-        alert(error.message);
-      } finally {
-        button.disabled = false;
-      }
+      toggleLike(button.dataset.photoId);
     });
   });
 }
 
-async function loadPhotoDetail() {
+async function loadPhotoDetail({ signal } = {}) {
   const image = document.getElementById('photo-image');
   if (!image) return;
 
   const params = new URLSearchParams(window.location.search);
   const photoId = params.get('id');
   if (!photoId) {
-    window.location.href = 'index.html';
+    navigateTo('index.html', { replace: true });
     return;
   }
 
   try {
-    const res = await fetch(`${API_BASE}/photos/${photoId}`);
-    if (!res.ok) throw new Error('Failed to load photo');
-    const photo = await res.json();
-
-    image.src = photo.imageUrl;
-    image.alt = photo.title || 'Photo';
-    document.getElementById('photo-title').textContent = photo.title || 'Untitled';
-    document.getElementById('photo-caption').textContent = photo.caption || '';
-    document.getElementById('photo-location').innerHTML = photo.location
-      ? `Shot in ${escapeHtml(photo.location)}`
-      : '';
-    document.getElementById('photo-creator').innerHTML = photo.creator?._id
-      ? `By <a href="profile.html?id=${encodeURIComponent(photo.creator._id)}">${escapeHtml(
-          photo.creator.name,
-        )}</a>`
-      : escapeHtml(photo.creator?.name || '');
-
-    const peopleContainer = document.getElementById('photo-people');
-    peopleContainer.innerHTML = '';
-    if (Array.isArray(photo.people) && photo.people.length > 0) {
-      photo.people.forEach((person) => {
-        const personId = person.userId || person.user?._id || person.user?.id;
-        const name = person.name || person.user?.name;
-        if (!name) return;
-        const link = document.createElement(personId ? 'a' : 'span');
-        link.className = 'tag link';
-        link.textContent = name;
-        if (personId) {
-          link.href = `profile.html?id=${encodeURIComponent(personId)}`;
-        }
-        peopleContainer.appendChild(link);
-      });
-    }
+    const photo = await api.get(`/photos/${photoId}`, {
+      signal,
+      errorMessage: 'Failed to load photo',
+    });
+    photoCache.set(photoId, photo);
+    renderPhotoDetail(photo);
+    bindPhotoOwnerActions(photoId);
 
     updateLikeState(photo);
-    renderComments(photo.comments || []);
     bindLikeButton(photoId);
-    bindCommentForm(photoId);
+    bindShareButton(photo);
+    const collectBtn = document.getElementById('collect-btn');
+    if (collectBtn) {
+      collectBtn.dataset.photoId = photo._id;
+      collectBtn.classList.toggle('hidden', !canInteractWithPhotos());
+    }
+    const comments = setupComments(photo, { signal });
+    subscribeRealtime(
+      `photo:${photoId}`,
+      async (message) => {
+        if (message.type === 'like.updated') {
+          updateLikeState({ _id: photo._id, likes: message.likes });
+        } else if (message.type === 'resync') {
+          try {
+            const latest = await api.get(`/photos/${photoId}`, {
+              signal,
+              cache: 'no-store',
+              errorMessage: 'Failed to load photo',
+            });
+            photoCache.set(photoId, latest);
+            updateLikeState(latest);
+            comments?.sync(latest.comments);
+          } catch (error) {
+            if (!isAbortError(error)) console.warn(error.message);
+          }
+        } else {
+          comments?.receive(message);
+        }
+      },
+      { signal },
+    );
   } catch (error) {
+    if (isAbortError(error)) return;
     const meta = document.querySelector('.photo-meta');
     if (meta) {
       meta.innerHTML = `<p class="empty-state">Unable to load photo. ${error.message}</p>`;
     }
-  }
-}
+  }
+}
+
+function renderPhotoDetail(photo) {
+  const image = document.getElementById('photo-image');
+  if (!image) return;
+
+  image.src = photo.imageUrl;
+  image.alt = photo.title || 'Photo';
+  document.getElementById('photo-title').textContent = photo.title || 'Untitled';
+  document.getElementById('photo-caption').innerHTML = renderRichText(photo.caption || '', {
+    mentions: photo.mentions,
+  });
+  document.getElementById('photo-location').innerHTML = photo.location
+    ? `Shot in ${escapeHtml(photo.location)}`
+    : '';
+  document.getElementById('photo-creator').innerHTML = photo.creator?._id
+    ? `By <a href="profile.html?id=${encodeURIComponent(photo.creator._id)}">${escapeHtml(
+        photo.creator.name,
+      )}</a>`
+    : escapeHtml(photo.creator?.name || '');
+
+  const peopleContainer = document.getElementById('photo-people');
+  peopleContainer.innerHTML = '';
+  if (Array.isArray(photo.people) && photo.people.length > 0) {
+    photo.people.forEach((person) => {
+      const personId = person.userId || person.user?._id || person.user?.id;
+      const name = person.name || person.user?.name;
+      if (!name) return;
+      const link = document.createElement(personId ? 'a' : 'span');
+      link.className = 'tag link';
+      link.textContent = name;
+      if (personId) {
+        link.href = `profile.html?id=${encodeURIComponent(personId)}`;
+      }
+      peopleContainer.appendChild(link);
+    });
+  }
+
+  const isOwner =
+    getUserRole() === 'creator' &&
+    Boolean(photo.creator?._id || photo.creatorId) &&
+    (photo.creator?._id || photo.creatorId) === localStorage.getItem('photoshare_user_id');
+  document.getElementById('photo-owner-actions')?.classList.toggle('hidden', !isOwner);
+}
+
+function bindPhotoOwnerActions(photoId) {
+  const actions = document.getElementById('photo-owner-actions');
+  if (!actions) return;
+  actions.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    const photo = photoCache.get(photoId);
+    if (!button || !photo) return;
+    if (button.dataset.action === 'edit-photo') {
+      openPhotoEditor(photo);
+    } else if (button.dataset.action === 'delete-photo') {
+      requestPhotoDeletion(photo);
+    }
+  });
+}
+
+function updateLikeState(photo) {
+  const likeBtn = document.getElementById('like-btn');
+  if (!likeBtn) return;
+  likeBtn.dataset.photoId = photo._id;
+  const countEl = document.getElementById('like-count');
+  if (countEl) countEl.dataset.photoId = photo._id;
+  const summaryEl = document.getElementById('like-summary');
+  if (summaryEl) summaryEl.dataset.photoId = photo._id;
+  seedLikeState(photo);
+  renderLikeButtons(photo._id);
+}
+
+function formatRelativeTime(value) {
+  const time = new Date(value).getTime();
+  if (!Number.isFinite(time)) return '';
+  const seconds = Math.round((Date.now() - time) / 1000);
+  if (seconds < 45) return 'just now';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.round(hours / 24);
+  if (days < 7) return `${days}d ago`;
+  return new Date(time).toLocaleDateString();
+}
+
+function renderRelativeTime(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return `<time datetime="${date.toISOString()}" title="${escapeHtml(date.toLocaleString())}">${formatRelativeTime(date)}</time>`;
+}
+
+function refreshRelativeTimes(root) {
+  root.querySelectorAll('time[datetime]').forEach((el) => {
+    el.textContent = formatRelativeTime(el.getAttribute('datetime'));
+  });
+}
+
+function canInteractWithPhotos() {
+  const role = getUserRole();
+  return Boolean(getToken()) && (role === 'consumer' || role === 'creator');
+}
+
+const TEMP_COMMENT_PREFIX = 'temp-';
+
+function getCommentId(comment) {
+  return String(comment?._id || comment?.id || '');
+}
+
+function isTemporaryCommentId(commentId) {
+  return commentId.startsWith(TEMP_COMMENT_PREFIX);
+}
+
+function getCommentParentId(comment) {
+  const parent = comment?.parentId || comment?.parent;
+  if (!parent) return null;
+  return String(typeof parent === 'object' ? parent._id || parent.id : parent);
+}
+
+function getCommentAuthorId(comment) {
+  return comment.user?._id || comment.user?.id || comment.userId || null;
+}
+
+function isCommentEdited(comment) {
+  if (comment.edited || comment.editedAt) return true;
+  if (!comment.updatedAt || !comment.createdAt) return false;
+  return new Date(comment.updatedAt) - new Date(comment.createdAt) > 1000;
+}
+
+function buildCommentTree(comments) {
+  const nodes = new Map();
+  comments.forEach((comment) => {
+    nodes.set(getCommentId(comment), { ...comment, replies: [] });
+  });
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = nodes.get(getCommentParentId(node));
+    if (parent && parent !== node) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+}
+
+function renderCommentArticle(comment, context) {
+  const authorName = comment.user?.name || comment.userName || 'Anonymous';
+  const authorId = getCommentAuthorId(comment);
+  const authorMarkup = authorId
+    ? `<a href="profile.html?id=${encodeURIComponent(authorId)}">${escapeHtml(authorName)}</a>`
+    : escapeHtml(authorName);
+  const avatarUrl = comment.user?.avatarUrl || DEFAULT_AVATAR;
+  const saved = !comment.pending && !isTemporaryCommentId(getCommentId(comment));
+  const canManage =
+    Boolean(context.viewerId) &&
+    saved &&
+    (authorId === context.viewerId || context.creatorId === context.viewerId);
+  const actions = [
+    context.canReply && saved
+      ? '<button type="button" class="link-btn" data-action="reply-comment">Reply</button>'
+      : '',
+    canManage ? '<button type="button" class="link-btn" data-action="edit-comment">Edit</button>' : '',
+    canManage
+      ? '<button type="button" class="link-btn" data-action="delete-comment">Delete</button>'
+      : '',
+  ].join('');
+
+  return `
+    <div class="comment${comment.pending ? ' is-pending' : ''}">
+      <div class="comment-avatar">
+        <img src="${escapeHtml(avatarUrl)}" alt="${escapeHtml(authorName)}" />
+      </div>
+      <div class="comment-body">
+        <p class="author">${authorMarkup}</p>
+        <p class="comment-text">${renderRichText(comment.text, { mentions: comment.mentions })}</p>
+        <p class="comment-meta muted small">
+          ${comment.pending ? (comment.queued ? 'Waiting to sync' : 'Posting...') : renderRelativeTime(comment.createdAt)}
+          ${isCommentEdited(comment) ? '<span class="comment-edited">· edited</span>' : ''}
+        </p>
+        ${actions ? `<div class="comment-actions">${actions}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+function renderCommentThread(comment, context) {
+  const replies = comment.replies || [];
+  return `
+    <div class="comment-thread" data-comment-id="${escapeHtml(getCommentId(comment))}">
+      ${renderCommentArticle(comment, context)}
+      <button
+        type="button"
+        class="link-btn comment-replies-toggle${replies.length ? '' : ' hidden'}"
+        data-action="toggle-replies"
+        aria-expanded="true"
+      >
+        Hide replies (${replies.length})
+      </button>
+      <div class="comment-replies">${replies
+        .map((reply) => renderCommentThread(reply, context))
+        .join('')}</div>
+    </div>
+  `.trim();
+}
+
+function renderComments(comments, context) {
+  const list = document.getElementById('comment-list');
+  if (!list) return;
+
+  if (!Array.isArray(comments) || comments.length === 0) {
+    list.innerHTML = '<p class="empty-state">No comments yet.</p>';
+    return;
+  }
+
+  list.innerHTML = buildCommentTree(comments)
+    .map((comment) => renderCommentThread(comment, context))
+    .join('');
+}
+
+function findSavedComment(payload, { text, parentId }, knownIds) {
+  if (payload?.comment) return payload.comment;
+  if (payload && payload.text !== undefined && !Array.isArray(payload.comments)) return payload;
+  const comments = Array.isArray(payload?.comments) ? payload.comments : [];
+  return (
+    comments
+      .filter(
+        (comment) =>
+          !knownIds.has(getCommentId(comment)) &&
+          comment.text === text &&
+          getCommentParentId(comment) === parentId,
+      )
+      .pop() || null
+  );
+}
+
+function setupComments(photo, { signal } = {}) {
+  const list = document.getElementById('comment-list');
+  const form = document.getElementById('comment-form');
+  if (!list) return;
+
+  const photoId = photo._id || photo.id;
+  const comments = new Map();
+  (photo.comments || []).forEach((comment) => {
+    comments.set(getCommentId(comment), comment);
+  });
+  const context = {
+    viewerId: localStorage.getItem('photoshare_user_id'),
+    creatorId: photo.creator?._id || photo.creator?.id || photo.creatorId || null,
+    canReply: canInteractWithPhotos(),
+  };
+  let tempId = 0;
+  const unsynced = new Map();
+  const unconfirmed = new Set();
+  const inlineMentions = new WeakMap();
+  const commentMentions = setupMentionAutocomplete(document.getElementById('comment-input'));
+
+  renderComments(Array.from(comments.values()), context);
+
+  const getThread = (commentId) =>
+    Array.from(list.querySelectorAll('.comment-thread')).find(
+      (thread) => thread.dataset.commentId === commentId,
+    );
+
+  const updateRepliesToggle = (thread) => {
+    if (!thread) return;
+    const toggle = thread.querySelector(':scope > .comment-replies-toggle');
+    const replies = thread.querySelector(':scope > .comment-replies');
+    const count = replies.querySelectorAll('.comment-thread').length;
+    const expanded = !replies.classList.contains('hidden');
+    toggle.classList.toggle('hidden', count === 0);
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.textContent = expanded ? `Hide replies (${count})` : `Show replies (${count})`;
+  };
+
+  const renderArticle = (thread, comment) => {
+    thread.dataset.commentId = getCommentId(comment);
+    thread.querySelector(':scope > .comment').outerHTML = renderCommentArticle(comment, context);
+  };
+
+  const showEmptyState = () => {
+    if (!list.querySelector('.comment-thread')) {
+      list.innerHTML = '<p class="empty-state">No comments yet.</p>';
+    }
+  };
+
+  const createPendingComment = ({ text, parentId = null, mentions = [] }, createdAt = Date.now()) => ({
+    _id: `${TEMP_COMMENT_PREFIX}${(tempId += 1)}`,
+    text,
+    parentId,
+    mentions,
+    user: {
+      _id: context.viewerId,
+      name: getUserName() || 'You',
+      avatarUrl: currentUser?.avatarUrl,
+    },
+    createdAt: new Date(createdAt).toISOString(),
+    pending: true,
+  });
+
+  const insertThread = (comment, parentId) => {
+    const parentThread = parentId ? getThread(parentId) : null;
+    const container = parentThread
+      ? parentThread.querySelector(':scope > .comment-replies')
+      : list;
+    list.querySelector(':scope > .empty-state')?.remove();
+    container.insertAdjacentHTML('beforeend', renderCommentThread(comment, context));
+    if (parentThread) {
+      container.classList.remove('hidden');
+      updateRepliesToggle(parentThread);
+    }
+    return { thread: container.lastElementChild, parentThread };
+  };
+
+  const isUnsyncedCopy = (comment) =>
+    getCommentAuthorId(comment) === context.viewerId &&
+    Array.from(unsynced.values()).some(
+      (pending) =>
+        pending.text === comment.text && (pending.parentId || null) === getCommentParentId(comment),
+    );
+
+  const receiveComment = (comment) => {
+    const commentId = getCommentId(comment);
+    if (!commentId) return;
+    if (comments.has(commentId)) {
+      const merged = { ...comments.get(commentId), ...comment };
+      comments.set(commentId, merged);
+      const thread = getThread(commentId);
+      if (thread) renderArticle(thread, merged);
+      return;
+    }
+    if (isUnsyncedCopy(comment)) return;
+    comments.set(commentId, comment);
+    unconfirmed.add(commentId);
+    insertThread(comment, getCommentParentId(comment));
+  };
+
+  const removeComment = (commentId) => {
+    const thread = getThread(commentId);
+    comments.delete(commentId);
+    unconfirmed.delete(commentId);
+    if (!thread) return;
+    thread.querySelectorAll('.comment-thread').forEach((reply) => {
+      comments.delete(reply.dataset.commentId);
+    });
+    const parentThread = thread.parentElement.closest('.comment-thread');
+    thread.remove();
+    updateRepliesToggle(parentThread);
+    showEmptyState();
+  };
+
+  const confirmComment = (thread, pending, found) => {
+    const saved = { ...pending, ...found, mentions: found.mentions || pending.mentions };
+    delete saved.pending;
+    unsynced.delete(pending._id);
+    comments.set(getCommentId(saved), saved);
+    unconfirmed.add(getCommentId(saved));
+    renderArticle(thread, saved);
+  };
+
+  const reloadSavedComment = async (thread, pending) => {
+    try {
+      const latest = await api.get(`/photos/${photoId}`, {
+        signal,
+        cache: 'no-store',
+        errorMessage: 'Unable to load comments',
+      });
+      const found = findSavedComment(
+        { comments: latest?.comments || [] },
+        { text: pending.text, parentId: pending.parentId },
+        new Set(comments.keys()),
+      );
+      if (found) {
+        confirmComment(thread, pending, found);
+        return;
+      }
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.warn(error.message);
+    }
+    const saved = { ...pending };
+    delete saved.pending;
+    unsynced.delete(pending._id);
+    comments.set(pending._id, saved);
+    renderArticle(thread, saved);
+  };
+
+  const addComment = async (text, parentId = null, mentions = []) => {
+    const pending = createPendingComment({ text, parentId, mentions });
+    unsynced.set(pending._id, pending);
+    const { thread, parentThread } = insertThread(pending, parentId);
+    thread.scrollIntoView?.({ block: 'nearest' });
+
+    try {
+      const { payload, queued, outboxId } = await postOrQueue(
+        {
+          type: 'comment',
+          photoId,
+          body: {
+            text,
+            ...(parentId ? { parentId } : {}),
+            ...(mentions.length ? { mentions } : {}),
+          },
+        },
+        { errorMessage: 'Unable to post comment' },
+      );
+      if (queued) {
+        thread.dataset.outboxId = String(outboxId);
+        renderArticle(thread, { ...pending, queued: true });
+        return true;
+      }
+      const found = findSavedComment(payload, { text, parentId }, new Set(comments.keys()));
+      if (found) {
+        confirmComment(thread, pending, found);
+      } else {
+        reloadSavedComment(thread, pending);
+      }
+      return true;
+    } catch (error) {
+      unsynced.delete(pending._id);
+      thread.remove();
+      updateRepliesToggle(parentThread);
+      showEmptyState();
+      alert(error.message);
+      return false;
+    }
+  };
+
+  const openInlineForm = (thread, mode) => {
+    thread.querySelector(':scope > .comment-inline-form')?.remove();
+    const comment = comments.get(thread.dataset.commentId);
+    const formEl = document.createElement('form');
+    formEl.className = 'comment-form comment-inline-form';
+    formEl.dataset.mode = mode;
+    formEl.innerHTML = `
+      <textarea rows="2" required aria-label="${mode === 'edit' ? 'Edit comment' : 'Write a reply'}"></textarea>
+      <div class="comment-inline-actions">
+        <button type="button" class="btn btn-ghost" data-action="cancel-comment-form">Cancel</button>
+        <button type="submit" class="btn btn-primary">${mode === 'edit' ? 'Save' : 'Reply'}</button>
+      </div>
+    `;
+    const textarea = formEl.querySelector('textarea');
+    if (mode === 'edit') textarea.value = comment?.text || '';
+    thread.querySelector(':scope > .comment').after(formEl);
+    inlineMentions.set(formEl, setupMentionAutocomplete(textarea));
+    textarea.focus();
+  };
+
+  const editComment = async (thread, text, mentions = []) => {
+    const commentId = thread.dataset.commentId;
+    const previous = comments.get(commentId);
+    if (!previous || previous.text === text) return;
+    const optimistic = {
+      ...previous,
+      text,
+      mentions: [...(previous.mentions || []), ...mentions],
+      edited: true,
+    };
+    comments.set(commentId, optimistic);
+    renderArticle(thread, optimistic);
+
+    try {
+      const payload = await api.patch(
+        `/photos/${photoId}/comments/${encodeURIComponent(commentId)}`,
+        mentions.length ? { text, mentions } : { text },
+        { errorMessage: 'Unable to update comment' },
+      );
+      const saved = payload?.comment || (payload?.text !== undefined ? payload : null);
+      if (saved) {
+        const merged = { ...optimistic, ...saved, edited: true };
+        comments.set(commentId, merged);
+        renderArticle(thread, merged);
+      }
+    } catch (error) {
+      comments.set(commentId, previous);
+      renderArticle(thread, previous);
+      alert(error.message);
+    }
+  };
+
+  const deleteComment = async (thread) => {
+    const commentId = thread.dataset.commentId;
+    if (!window.confirm('Delete this comment?')) return;
+    const parent = thread.parentElement;
+    const nextSibling = thread.nextSibling;
+    const parentThread = parent.closest('.comment-thread');
+    thread.remove();
+    updateRepliesToggle(parentThread);
+    showEmptyState();
+
+    try {
+      await api.delete(`/photos/${photoId}/comments/${encodeURIComponent(commentId)}`, {
+        errorMessage: 'Unable to delete comment',
+      });
+      thread.querySelectorAll('.comment-thread').forEach((reply) => {
+        comments.delete(reply.dataset.commentId);
+      });
+      comments.delete(commentId);
+    } catch (error) {
+      list.querySelector(':scope > .empty-state')?.remove();
+      parent.insertBefore(thread, nextSibling?.parentNode === parent ? nextSibling : null);
+      updateRepliesToggle(parentThread);
+      alert(error.message);
+    }
+  };
 
-function updateLikeState(photo) {
-  const likeBtn = document.getElementById('like-btn');
-  const likeCount = document.getElementById('like-count');
-  if (!likeBtn || !likeCount) return;
+  list.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    const thread = button?.closest('.comment-thread');
+    if (!thread) return;
+
+    switch (button.dataset.action) {
+      case 'toggle-replies':
+        thread.querySelector(':scope > .comment-replies').classList.toggle('hidden');
+        updateRepliesToggle(thread);
+        break;
+      case 'reply-comment':
+        openInlineForm(thread, 'reply');
+        break;
+      case 'edit-comment':
+        openInlineForm(thread, 'edit');
+        break;
+      case 'delete-comment':
+        deleteComment(thread);
+        break;
+      case 'cancel-comment-form':
+        button.closest('.comment-inline-form').remove();
+        break;
+      default:
+        break;
+    }
+  });
 
-  const userId = localStorage.getItem('photoshare_user_id');
-  const likes = Array.isArray(photo.likes) ? photo.likes : [];
-  const liked = userId ? likes.includes(userId) : false;
+  list.addEventListener('submit', (event) => {
+    const formEl = event.target.closest('.comment-inline-form');
+    if (!formEl) return;
+    event.preventDefault();
+    const thread = formEl.closest('.comment-thread');
+    const text = formEl.querySelector('textarea').value.trim();
+    if (!text) return;
+    const mentions = inlineMentions.get(formEl)?.getMentions() || [];
+    formEl.remove();
+    if (formEl.dataset.mode === 'edit') {
+      editComment(thread, text, mentions);
+    } else {
+      addComment(text, thread.dataset.commentId, mentions);
+    }
+  });
 
-  likeBtn.classList.toggle('liked', liked);
-  likeCount.textContent = likes.length;
-  likeBtn.dataset.photoId = photo._id;
-}
+  form?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const textarea = document.getElementById('comment-input');
+    const text = textarea.value.trim();
+    if (!text) return;
 
-function renderComments(comments) {
-  const list = document.getElementById('comment-list');
-  if (!list) return;
+    const mentions = commentMentions?.getMentions() || [];
+    textarea.value = '';
+    commentMentions?.reset();
+    if (!(await addComment(text, null, mentions)) && !textarea.value) {
+      textarea.value = text;
+    }
+  });
 
-  if (!Array.isArray(comments) || comments.length === 0) {
-    list.innerHTML = '<p class="empty-state">No comments yet.</p>';
-    return;
-  }
+  window.addEventListener(
+    'photoshare:outbox-synced',
+    ({ detail: { entry, payload } }) => {
+      if (entry.type !== 'comment' || entry.photoId !== photoId) return;
+      const { text, parentId = null, mentions = [] } = entry.body;
+      const found = findSavedComment(payload, { text, parentId }, new Set(comments.keys()));
+      const thread = list.querySelector(`.comment-thread[data-outbox-id="${entry.id}"]`);
+      if (!found) {
+        const pending = thread && unsynced.get(thread.dataset.commentId);
+        if (pending) {
+          delete thread.dataset.outboxId;
+          reloadSavedComment(thread, { ...pending, queued: false });
+        }
+        return;
+      }
+      const saved = { ...found, mentions: found.mentions || mentions };
+      comments.set(getCommentId(saved), saved);
+      unconfirmed.add(getCommentId(saved));
+      if (thread) {
+        unsynced.delete(thread.dataset.commentId);
+        delete thread.dataset.outboxId;
+        renderArticle(thread, saved);
+      } else {
+        insertThread(saved, parentId);
+      }
+    },
+    { signal },
+  );
 
-  list.innerHTML = comments
-    .map((comment) => {
-      const authorName = comment.user?.name || comment.userName || 'Anonymous';
-      const authorId = comment.user?._id || comment.user?.id;
-      const authorMarkup = authorId
-        ? `<a href="profile.html?id=${encodeURIComponent(authorId)}">${escapeHtml(authorName)}</a>`
-        : escapeHtml(authorName);
-      const avatarUrl = comment.user?.avatarUrl || DEFAULT_AVATAR;
-      const date = comment.createdAt ? new Date(comment.createdAt).toLocaleString() : '';
-      return `
-        <div class="comment">
-          <div class="comment-avatar">
-            <img src="${escapeHtml(avatarUrl)}" alt="${escapeHtml(authorName)}" />
-          </div>
-          <div class="comment-body">
-            <p class="author">${authorMarkup}</p>
-            <p>${escapeHtml(comment.text)}</p>
-            <p class="muted small">${date}</p>
-          </div>
-        </div>
-      `;
+  listOutbox()
+    .then((entries) => {
+      entries
+        .filter((entry) => entry.type === 'comment' && entry.photoId === photoId)
+        .forEach((entry) => {
+          if (signal?.aborted) return;
+          const comment = { ...createPendingComment(entry.body, entry.createdAt), queued: true };
+          unsynced.set(comment._id, comment);
+          const { thread } = insertThread(comment, entry.body.parentId);
+          thread.dataset.outboxId = String(entry.id);
+        });
     })
-    .join('');
+    .catch((error) => console.warn(error.message));
+
+  const timer = setInterval(() => refreshRelativeTimes(list), 60000);
+  signal?.addEventListener('abort', () => clearInterval(timer));
+
+  return {
+    receive(message) {
+      if (message.type === 'comment.created' || message.type === 'comment.updated') {
+        receiveComment(message.comment);
+      } else if (message.type === 'comment.deleted') {
+        removeComment(String(message.commentId));
+      }
+    },
+    sync(latest = []) {
+      const latestIds = new Set(latest.map(getCommentId));
+      latestIds.forEach((commentId) => unconfirmed.delete(commentId));
+      Array.from(comments.keys())
+        .filter((commentId) => !latestIds.has(commentId) && !unconfirmed.has(commentId))
+        .forEach(removeComment);
+      buildCommentTree(latest).forEach(function receiveThread({ replies, ...comment }) {
+        receiveComment(comment);
+        replies.forEach(receiveThread);
+      });
+    },
+  };
 }
 
 function bindLikeButton(photoId) {
   const likeBtn = document.getElementById('like-btn');
   if (!likeBtn) return;
 
-  const role = getUserRole();
-  const token = getToken();
   const callout = document.getElementById('comment-login-callout');
   const commentForm = document.getElementById('comment-form');
 
-  const canInteract = Boolean(token) && (role === 'consumer' || role === 'creator');
+  const canInteract = canInteractWithPhotos();
 
   likeBtn.disabled = !canInteract;
   if (commentForm) commentForm.classList.toggle('hidden', !canInteract);
   if (callout) callout.classList.toggle('hidden', canInteract);
 
-  likeBtn.addEventListener('click', async () => {
+  likeBtn.addEventListener('click', () => {
     if (!canInteract) return;
-    try {
-      likeBtn.disabled = true;
-      const res = await fetchWithAuth(`/photos/${photoId}/like`, { method: 'POST' });
-      if (!res.ok) throw new Error('Unable to toggle like');
-      const updated = await res.json();
-      updateLikeState(updated);
-    } catch (error) {
-      alert(error.message);
-    } finally {
-      likeBtn.disabled = false;
-    }
+    toggleLike(photoId);
   });
 }
 
-function bindCommentForm(photoId) {
-  const form = document.getElementById('comment-form');
-  if (!form) return;
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const field = document.createElement('textarea');
+  field.value = text;
+  field.setAttribute('readonly', '');
+  field.className = 'visually-hidden';
+  document.body.appendChild(field);
+  field.select();
+  const copied = document.execCommand('copy');
+  field.remove();
+  if (!copied) throw new Error('Unable to copy the link.');
+}
 
-  form.addEventListener('submit', async (event) => {
-    event.preventDefault();
-    const textarea = document.getElementById('comment-input');
-    const text = textarea.value.trim();
-    if (!text) return;
+function bindShareButton(photo) {
+  const button = document.getElementById('share-btn');
+  if (!button) return;
 
+  button.addEventListener('click', async () => {
+    const url = new URL(`photo.html?id=${encodeURIComponent(photo._id)}`, window.location.href).href;
+    const data = { title: photo.title || 'PhotoShare', text: photo.caption || '', url };
+    if (navigator.share && (!navigator.canShare || navigator.canShare(data))) {
+      try {
+        await navigator.share(data);
+        return;
+      } catch (error) {
+        if (isAbortError(error)) return;
+      }
+    }
     try {
-      textarea.disabled = true;
-      const res = await fetchWithAuth(`/photos/${photoId}/comment`, {
-        method: 'POST',
-        body: { text },
-      });
-      if (!res.ok) throw new Error('Unable to post comment');
-      const updated = await res.json();
-      textarea.value = '';
-      renderComments(updated.comments || []);
+      await copyText(url);
+      showToast('Link copied to clipboard.');
     } catch (error) {
-      alert(error.message);
-    } finally {
-      textarea.disabled = false;
+      showToast(error.message);
     }
   });
 }
@@ -777,39 +6102,26 @@ function bindLoginForm() {
 
     try {
       errorEl.classList.add('hidden');
-      const res = await fetch(`${API_BASE}/auth/login`, {
-        method: 'POST',
-        cache: 'no-store',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, password }),
-      });
-      if (!res.ok) {
-        let message = 'Invalid credentials';
-        try {
-          const payload = await res.json();
-          if (payload?.message) {
-            message = payload.message;
-          }
-        } catch (parseError) {
-          // Ignore JSON parse errors here and fall back to default message
-        }
-        throw new Error(message);
-      }
-      let data;
-      try {
-        data = await res.json();
-      } catch (parseError) {
-        throw new Error('Unexpected response from server');
+      const data = await api.post(
+        '/auth/login',
+        { email, password },
+        { auth: false, cache: 'no-store', errorMessage: 'Invalid credentials' },
+      );
+      if (!data?.token || !data.user) {
+        throw new ApiError('Unexpected response from server');
       }
       setToken(data.token);
+      setRefreshToken(data.refreshToken || null);
       setUserRole(data.user.role);
       setUserName(data.user.name);
       localStorage.setItem('photoshare_user_id', data.user.id || data.user._id);
       currentUser = data.user;
 
       updateNavigationVisibility();
+      scheduleSessionWarning();
 
-      window.location.href = 'index.html';
+      const params = new URLSearchParams(window.location.search);
+      navigateTo(getSafeRedirect(params.get('next')) || 'index.html', { replace: true });
     } catch (error) {
       errorEl.textContent = error.message;
       errorEl.classList.remove('hidden');
@@ -830,16 +6142,12 @@ function bindSignupForm() {
 
     try {
       errorEl.classList.add('hidden');
-      const res = await fetch(`${API_BASE}/auth/signup`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name, email, password }),
-      });
-      if (!res.ok) {
-        const message = (await res.json())?.message || 'Unable to sign up';
-        throw new Error(message);
-      }
-      window.location.href = 'login.html';
+      await api.post(
+        '/auth/signup',
+        { name, email, password },
+        { auth: false, errorMessage: 'Unable to sign up' },
+      );
+      navigateTo('login.html', { replace: true });
     } catch (error) {
       errorEl.textContent = error.message;
       errorEl.classList.remove('hidden');
@@ -851,12 +6159,14 @@ function ensureCreatorAccess() {
   const role = getUserRole();
   const token = getToken();
   if (!token || role !== 'creator') {
-    window.location.href = 'login.html';
+    navigateTo('login.html', { replace: true });
+    return false;
   }
+  return true;
 }
 
-async function loadCreatorDashboard() {
-  ensureCreatorAccess();
+async function loadCreatorDashboard({ signal } = {}) {
+  if (!ensureCreatorAccess()) return;
   const nameEl = document.getElementById('creator-name');
   const gallery = document.getElementById('creator-gallery');
   const badge = document.getElementById('upload-count');
@@ -867,100 +6177,428 @@ async function loadCreatorDashboard() {
 
   try {
     gallery.innerHTML = '<p class="empty-state">Loading your uploads...</p>';
-    const res = await fetchWithAuth('/photos');
-    if (!res.ok) throw new Error('Unable to load uploads');
-    const photos = await res.json();
+    const [photos, scheduled] = await Promise.all([
+      api.get('/photos', { signal, errorMessage: 'Unable to load uploads' }),
+      api
+        .get('/photos?status=scheduled', { signal, errorMessage: 'Unable to load scheduled posts' })
+        .catch((error) => {
+          if (isAbortError(error)) throw error;
+          console.warn(error.message);
+          return [];
+        }),
+    ]);
     const userId = localStorage.getItem('photoshare_user_id');
-    const myPhotos = photos.filter((photo) => {
+    const isMine = (photo) => {
       const creatorId =
         photo.creatorId ||
         photo.creator?._id ||
         photo.creatorId?.toString?.() ||
         null;
       return creatorId === userId;
-    });
-
-    badge.textContent = myPhotos.length;
-    renderPhotoGrid(gallery, myPhotos, { emptyMessage: 'No uploads yet.' });
+    };
+    const myPhotos = photos.filter((photo) => isMine(photo) && !isScheduledPhoto(photo));
+    const scheduledById = new Map(
+      [...photos, ...(Array.isArray(scheduled) ? scheduled : [])]
+        .filter((photo) => isMine(photo) && isScheduledPhoto(photo))
+        .map((photo) => [photo._id, photo]),
+    );
+
+    renderScheduledList(Array.from(scheduledById.values()));
+    badge.textContent = myPhotos.filter((photo) => !pendingPhotoDeletes.has(photo._id)).length;
+    renderPhotoGrid(gallery, myPhotos, { emptyMessage: 'No uploads yet.', manageable: true });
   } catch (error) {
+    if (isAbortError(error)) return;
     gallery.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
   }
 }
 
-function bindUploadForm() {
+function bindUploadForm({ signal } = {}) {
   const form = document.getElementById('upload-form');
-  if (!form) return;
+  if (!form) return null;
 
+  const feedback = document.getElementById('upload-feedback');
+  const fileInput = document.getElementById('upload-photo');
   const locationAutocomplete = setupLocationAutocomplete(
     document.getElementById('upload-location'),
     document.getElementById('upload-location-suggestions'),
+    { onChange: () => drafts.schedule() },
   );
   const peopleSelector = setupPeopleSelector({
     inputEl: document.getElementById('upload-people'),
     suggestionsEl: document.getElementById('upload-people-suggestions'),
     containerEl: document.getElementById('upload-selected-people'),
+    onChange: () => drafts.schedule(),
+  });
+  const imagePreprocessing = setupImagePreprocessing({
+    fileInput: document.getElementById('upload-photo'),
+    optionsEl: document.getElementById('upload-image-options'),
+    summaryEl: document.getElementById('upload-size-summary'),
+  });
+  bindPhotoLocationSuggestion(document.getElementById('upload-photo'), locationAutocomplete, imagePreprocessing);
+  const captionMentions = setupMentionAutocomplete(document.getElementById('upload-caption'));
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const defaultSubmitLabel = submitBtn?.textContent;
+  const schedulePicker = setupSchedulePicker(document.getElementById('upload-schedule'), {
+    onChange: (scheduled) => {
+      if (submitBtn) submitBtn.textContent = scheduled ? 'Schedule Photos' : defaultSubmitLabel;
+    },
+  });
+  const drafts = createDraftAutosave({
+    form,
+    source: 'upload',
+    signal,
+    collect: () => ({
+      title: document.getElementById('upload-title').value.trim(),
+      caption: document.getElementById('upload-caption').value.trim(),
+      location: locationAutocomplete?.getPlace() || null,
+      people: peopleSelector?.getSelected() || [],
+      mentions: captionMentions?.getMentions() || [],
+      files: Array.from(fileInput.files || []),
+    }),
   });
 
-  form.addEventListener('submit', async (event) => {
-    event.preventDefault();
-    const feedback = document.getElementById('upload-feedback');
-    const submitBtn = form.querySelector('button[type="submit"]');
+  const applyDraft = (draft) => {
+    document.getElementById('upload-title').value = draft.title || '';
+    document.getElementById('upload-caption').value = draft.caption || '';
+    locationAutocomplete?.setPlace(draft.location || {});
+    peopleSelector?.setSelected(draft.people);
+    captionMentions?.setMentions(draft.mentions);
+    setInputFiles(fileInput, draft.files);
+    drafts.setId(draft.id);
+  };
 
-    const fileInput = document.getElementById('upload-photo');
-    if (!fileInput.files.length) {
-      feedback.textContent = 'Please select a photo.';
+  const resetUploadForm = () => {
+    form.reset();
+    locationAutocomplete?.reset();
+    peopleSelector?.reset();
+    captionMentions?.reset();
+    imagePreprocessing?.reset();
+    schedulePicker?.reset();
+  };
+
+  listDrafts({ source: 'upload' })
+    .then(([draft]) => {
+      if (!draft || signal?.aborted || drafts.id) return;
+      applyDraft(draft);
+      feedback.textContent = 'Restored your unsaved draft.';
+    })
+    .catch((error) => console.warn(error.message));
+
+  const uploadQueue = createUploadQueue({
+    panelEl: document.getElementById('upload-queue'),
+    listEl: document.getElementById('upload-queue-list'),
+    onSettled: ({ published, scheduled, failed }) => {
+      const parts = [];
+      if (published) parts.push(`${published} photo${published === 1 ? '' : 's'} published`);
+      if (scheduled) parts.push(`${scheduled} photo${scheduled === 1 ? '' : 's'} scheduled`);
+      if (failed) parts.push(`${failed} failed`);
+      feedback.textContent = `${parts.join(', ')}.`;
+      if (published || scheduled) loadCreatorDashboard();
+      if (published) refreshFeeds();
+    },
+    signal,
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const files = Array.from(fileInput.files || []).filter((file) => file.type.startsWith('image/'));
+    if (!files.length) {
+      feedback.textContent = 'Please select at least one photo.';
       return;
     }
+    if (!uploadQueue) return;
 
+    let publishAt;
     try {
-      feedback.textContent = '';
-      submitBtn.disabled = true;
-      const imageUrl = await uploadImageFile(fileInput.files[0]);
+      publishAt = schedulePicker?.getPublishAt() || null;
+    } catch (error) {
+      feedback.textContent = error.message;
+      return;
+    }
 
-      await createPhotoRecord({
+    const imageSettings = imagePreprocessing?.getSettings();
+    const place = locationAutocomplete?.getPlace();
+    uploadQueue.add(
+      files,
+      {
         title: document.getElementById('upload-title').value.trim(),
         caption: document.getElementById('upload-caption').value.trim(),
-        location: locationAutocomplete ? locationAutocomplete.getValue() : '',
+        location: place?.name || '',
+        coordinates: place?.coordinates || null,
         people: peopleSelector ? peopleSelector.getSelectedIds() : [],
-        imageUrl,
-      });
+        mentions: captionMentions?.getMentions() || [],
+        publishAt,
+      },
+      {
+        prepare: imagePreprocessing
+          ? (file) => imagePreprocessing.process(file, imageSettings)
+          : null,
+      },
+    );
+
+    drafts.discard();
+    resetUploadForm();
+    feedback.textContent = `${files.length} photo${files.length === 1 ? '' : 's'} added to the upload queue.`;
+  });
 
-      form.reset();
-      locationAutocomplete?.reset();
-      peopleSelector?.reset();
-      feedback.textContent = 'Photo published successfully.';
-      loadCreatorDashboard();
-      refreshFeeds();
-    } catch (error) {
-      feedback.textContent = error.message;
-    } finally {
-      submitBtn.disabled = false;
+  return {
+    isBusy: () => Boolean(uploadQueue?.isBusy()),
+    async resumeDraft(draft) {
+      await drafts.flush();
+      resetUploadForm();
+      applyDraft(draft);
+      feedback.textContent = 'Draft restored.';
+      form.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+      document.getElementById('upload-title').focus();
+    },
+  };
+}
+
+const SEARCH_FILTER_KEYS = ['by', 'at', 'with', 'after', 'before', 'sort'];
+const SEARCH_URL_KEYS = ['q', ...SEARCH_FILTER_KEYS, 'tag'];
+const SEARCH_SORTS = {
+  newest: 'Newest',
+  likes: 'Most liked',
+  comments: 'Most commented',
+};
+const SEARCH_TOKEN_PATTERN = new RegExp(
+  `([a-z]+):(?:"([^"]*)"?|(\\S*))|#(${RICH_TOKEN_BODY})|"([^"]*)"?|(\\S+)`,
+  'giu',
+);
+const SEARCH_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidSearchFilter(key, value) {
+  if (!value) return false;
+  if (key === 'after' || key === 'before') return SEARCH_DATE_PATTERN.test(value);
+  if (key === 'sort') return Object.keys(SEARCH_SORTS).includes(value);
+  return true;
+}
+
+function parseSearchQuery(query = '') {
+  const filters = { text: '', tags: [] };
+  const words = [];
+  Array.from(String(query).matchAll(SEARCH_TOKEN_PATTERN)).forEach((match) => {
+    const [token, rawKey, quoted, bare, tag, phrase] = match;
+    const key = rawKey?.toLowerCase();
+    let value = (quoted ?? bare ?? '').trim();
+    if (key === 'sort') value = value.toLowerCase();
+    if (SEARCH_FILTER_KEYS.includes(key)) {
+      if (isValidSearchFilter(key, value)) filters[key] = value;
+    } else if (tag) {
+      if (!filters.tags.some((entry) => entry.toLowerCase() === tag.toLowerCase())) filters.tags.push(tag);
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) words.push(`"${phrase.trim()}"`);
+    } else {
+      words.push(token);
+    }
+  });
+  filters.text = words.join(' ');
+  return filters;
+}
+
+function formatSearchValue(value) {
+  return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+function formatSearchQuery(filters) {
+  const parts = filters.text ? [filters.text] : [];
+  ['by', 'at', 'with'].forEach((key) => {
+    if (filters[key]) parts.push(`${key}:${formatSearchValue(filters[key])}`);
+  });
+  (filters.tags || []).forEach((tag) => parts.push(`#${tag}`));
+  ['after', 'before'].forEach((key) => {
+    if (isValidSearchFilter(key, filters[key])) parts.push(`${key}:${filters[key]}`);
+  });
+  if (filters.sort && filters.sort !== 'newest' && isValidSearchFilter('sort', filters.sort)) {
+    parts.push(`sort:${filters.sort}`);
+  }
+  return parts.join(' ');
+}
+
+function buildSearchParams(query) {
+  const filters = parseSearchQuery(query);
+  const params = new URLSearchParams();
+  if (filters.text) params.set('q', filters.text);
+  SEARCH_FILTER_KEYS.forEach((key) => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  filters.tags.forEach((tag) => params.append('tag', tag));
+  return params;
+}
+
+function readSearchQuery(params) {
+  const filters = parseSearchQuery(params.get('q')?.trim() || '');
+  SEARCH_FILTER_KEYS.forEach((key) => {
+    const value = params.get(key)?.trim();
+    if (isValidSearchFilter(key, value)) filters[key] = value;
+  });
+  params.getAll('tag').forEach((tag) => {
+    const value = tag.replace(/^#/, '').trim();
+    if (value && !filters.tags.includes(value)) filters.tags.push(value);
+  });
+  return formatSearchQuery(filters);
+}
+
+function syncSearchUrl(query) {
+  const url = new URL(window.location.href);
+  SEARCH_URL_KEYS.forEach((key) => url.searchParams.delete(key));
+  buildSearchParams(query).forEach((value, key) => url.searchParams.append(key, value));
+  window.history.replaceState(window.history.state, '', url);
+}
+
+function setupSearchFilters(input, { onChange, signal }) {
+  const wrapper = input.closest('.search-wrapper');
+  if (!wrapper) return null;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'btn btn-ghost search-filters-toggle';
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.setAttribute('aria-controls', 'search-filters');
+  toggle.textContent = 'Filters';
+
+  const panel = document.createElement('form');
+  panel.id = 'search-filters';
+  panel.className = 'search-filters hidden';
+  panel.setAttribute('aria-label', 'Search filters');
+  panel.innerHTML = `
+    <label>
+      Creator
+      <input name="by" type="text" autocomplete="off" placeholder="alice" />
+    </label>
+    <label>
+      Location
+      <input name="at" type="text" autocomplete="off" placeholder="Paris" />
+    </label>
+    <label>
+      Tagged person
+      <input name="with" type="text" autocomplete="off" placeholder="bob" />
+    </label>
+    <label>
+      Hashtags
+      <input name="tags" type="text" autocomplete="off" placeholder="sunset travel" />
+    </label>
+    <label>
+      Posted after
+      <input name="after" type="date" />
+    </label>
+    <label>
+      Posted before
+      <input name="before" type="date" />
+    </label>
+    <label>
+      Sort by
+      <select name="sort">
+        ${Object.entries(SEARCH_SORTS)
+          .map(([value, label]) => `<option value="${value}">${label}</option>`)
+          .join('')}
+      </select>
+    </label>
+    <p class="muted small">
+      Or type by:alice, at:"Paris", with:bob, #tag, after:2025-01-01 or sort:likes in the search box.
+    </p>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-ghost" data-action="clear-filters">Clear filters</button>
+    </div>
+  `;
+  wrapper.append(toggle, panel);
+
+  const fields = panel.elements;
+  const setOpen = (open) => {
+    panel.classList.toggle('hidden', !open);
+    toggle.setAttribute('aria-expanded', String(open));
+  };
+
+  const sync = (query) => {
+    const filters = parseSearchQuery(query);
+    ['by', 'at', 'with', 'after', 'before'].forEach((key) => {
+      if (document.activeElement !== fields[key]) fields[key].value = filters[key] || '';
+    });
+    if (document.activeElement !== fields.tags) fields.tags.value = filters.tags.join(' ');
+    fields.sort.value = filters.sort || 'newest';
+    const count = ['by', 'at', 'with', 'after', 'before'].filter((key) => filters[key]).length
+      + filters.tags.length
+      + (filters.sort && filters.sort !== 'newest' ? 1 : 0);
+    toggle.textContent = count ? `Filters (${count})` : 'Filters';
+    toggle.classList.toggle('active', Boolean(count));
+  };
+
+  const readPanel = () => ({
+    text: parseSearchQuery(input.value).text,
+    by: fields.by.value.trim(),
+    at: fields.at.value.trim(),
+    with: fields.with.value.trim(),
+    tags: fields.tags.value
+      .split(/[\s,]+/)
+      .map((tag) => tag.replace(/^#/, ''))
+      .filter(Boolean),
+    after: fields.after.value,
+    before: fields.before.value,
+    sort: fields.sort.value,
+  });
+
+  panel.addEventListener('input', () => {
+    input.value = formatSearchQuery(readPanel());
+    onChange();
+  });
+  panel.addEventListener('submit', (event) => {
+    event.preventDefault();
+    setOpen(false);
+  });
+  panel.addEventListener('click', (event) => {
+    if (!event.target.closest('[data-action="clear-filters"]')) return;
+    input.value = parseSearchQuery(input.value).text;
+    sync(input.value);
+    onChange();
+  });
+  toggle.addEventListener('click', () => setOpen(panel.classList.contains('hidden')));
+  document.addEventListener(
+    'click',
+    (event) => {
+      if (!wrapper.contains(event.target)) setOpen(false);
+    },
+    { signal },
+  );
+  wrapper.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !panel.classList.contains('hidden')) {
+      setOpen(false);
+      toggle.focus();
     }
   });
+
+  sync(input.value);
+  return { sync };
 }
 
-function bindSearch() {
+function bindSearch({ signal } = {}) {
   const input = document.getElementById('search-input');
   if (!input) return;
   let debounceHandle;
-  input.addEventListener('input', () => {
+  signal?.addEventListener('abort', () => clearTimeout(debounceHandle));
+
+  const runSearch = () => {
+    const value = input.value.trim();
+    const hasMainFeed = Boolean(document.getElementById('photo-grid'));
+    const hasDashboardFeed = Boolean(document.getElementById('dashboard-photo-grid'));
+
+    if (!hasMainFeed && !hasDashboardFeed) {
+      const params = buildSearchParams(value).toString();
+      navigateTo(params ? `index.html?${params}` : 'index.html');
+      return;
+    }
+
+    syncSearchUrl(value);
+    refreshFeeds(value);
+  };
+  const scheduleSearch = () => {
     clearTimeout(debounceHandle);
-    debounceHandle = setTimeout(() => {
-      const value = input.value.trim();
-      const hasMainFeed = Boolean(document.getElementById('photo-grid'));
-      const hasDashboardFeed = Boolean(document.getElementById('dashboard-photo-grid'));
-
-      if (!hasMainFeed && !hasDashboardFeed) {
-        if (value.length > 0) {
-          window.location.href = `index.html?q=${encodeURIComponent(value)}`;
-        } else {
-          window.location.href = 'index.html';
-        }
-        return;
-      }
+    debounceHandle = setTimeout(runSearch, 300);
+  };
 
-      refreshFeeds(value);
-    }, 300);
+  const filters = setupSearchFilters(input, { onChange: scheduleSearch, signal });
+  input.addEventListener('input', () => {
+    filters?.sync(input.value);
+    scheduleSearch();
   });
 }
 
@@ -970,38 +6608,108 @@ function bindLogoutButtons() {
   });
 }
 
+let createPostModal = null;
+
 function bindCreatePostModal() {
   const modal = document.getElementById('create-post-modal');
   const form = document.getElementById('create-post-form');
   const closeBtn = document.getElementById('create-post-close');
   const cancelBtn = document.getElementById('create-post-cancel');
   const feedback = document.getElementById('create-post-feedback');
-  const triggers = Array.from(document.querySelectorAll('[data-action="open-create-modal"]'));
-
-  if (!modal || !form || triggers.length === 0) return;
+  if (!modal || !form || modal.dataset.bound) return;
+  modal.dataset.bound = 'true';
+  modal.dataset.persist = 'true';
+  document.body.appendChild(modal);
 
   const submitBtn = form.querySelector('button[type="submit"]');
   const fileInput = document.getElementById('create-photo');
   const locationAutocomplete = setupLocationAutocomplete(
     document.getElementById('create-location'),
     document.getElementById('location-suggestions'),
+    { onChange: () => drafts.schedule() },
   );
   const peopleSelector = setupPeopleSelector({
     inputEl: document.getElementById('create-people'),
     suggestionsEl: document.getElementById('people-suggestions'),
     containerEl: document.getElementById('selected-people'),
+    onChange: () => drafts.schedule(),
+  });
+  const imagePreprocessing = setupImagePreprocessing({
+    fileInput,
+    optionsEl: document.getElementById('create-image-options'),
+    summaryEl: document.getElementById('create-size-summary'),
+  });
+  bindPhotoLocationSuggestion(fileInput, locationAutocomplete, imagePreprocessing);
+  const captionMentions = setupMentionAutocomplete(document.getElementById('create-caption'));
+  const heading = modal.querySelector('h2');
+  const defaultHeading = heading?.textContent;
+  const defaultSubmitLabel = submitBtn?.textContent;
+  const scheduleEl = document.getElementById('create-schedule');
+  let editingPhoto = null;
+  const schedulePicker = setupSchedulePicker(scheduleEl, {
+    onChange: (scheduled) => {
+      if (submitBtn && !editingPhoto) submitBtn.textContent = scheduled ? 'Schedule' : defaultSubmitLabel;
+    },
+  });
+
+  const drafts = createDraftAutosave({
+    form,
+    source: 'create',
+    collect: () =>
+      editingPhoto
+        ? null
+        : {
+            title: document.getElementById('create-title').value.trim(),
+            caption: document.getElementById('create-caption').value.trim(),
+            location: locationAutocomplete?.getPlace() || null,
+            people: peopleSelector?.getSelected() || [],
+            mentions: captionMentions?.getMentions() || [],
+            files: Array.from(fileInput?.files || []).slice(0, 1),
+          },
   });
+  const discardDraftBtn = document.createElement('button');
+  discardDraftBtn.type = 'button';
+  discardDraftBtn.className = 'btn btn-ghost hidden';
+  discardDraftBtn.textContent = 'Discard draft';
+  form.querySelector('.modal-actions')?.prepend(discardDraftBtn);
+
+  const setEditing = (photo) => {
+    editingPhoto = photo;
+    if (heading) heading.textContent = photo ? 'Edit Post' : defaultHeading;
+    if (submitBtn) submitBtn.textContent = photo ? 'Save Changes' : defaultSubmitLabel;
+    if (fileInput) fileInput.required = !photo;
+    scheduleEl?.classList.toggle('hidden', Boolean(photo));
+  };
 
   const resetForm = () => {
     feedback.textContent = '';
     form.reset();
+    setEditing(null);
     if (submitBtn) submitBtn.disabled = false;
     if (fileInput) fileInput.value = '';
     locationAutocomplete?.reset();
     peopleSelector?.reset();
+    captionMentions?.reset();
+    imagePreprocessing?.reset();
+    schedulePicker?.reset();
+    drafts.setId(null);
+    discardDraftBtn.classList.add('hidden');
+  };
+
+  const applyDraft = (draft) => {
+    document.getElementById('create-title').value = draft.title || '';
+    document.getElementById('create-caption').value = draft.caption || '';
+    locationAutocomplete?.setPlace(draft.location || {});
+    peopleSelector?.setSelected(draft.people);
+    captionMentions?.setMentions(draft.mentions);
+    setInputFiles(fileInput, draft.files);
+    drafts.setId(draft.id);
+    discardDraftBtn.classList.remove('hidden');
+    feedback.textContent = `Draft restored (saved ${formatRelativeTime(draft.updatedAt)}).`;
   };
 
-  const closeModal = () => {
+  const closeModal = ({ keepDraft = true } = {}) => {
+    if (keepDraft) drafts.flush();
     modal.classList.add('hidden');
     document.body.classList.remove('modal-open');
     resetForm();
@@ -1016,12 +6724,75 @@ function bindCreatePostModal() {
     document.body.classList.add('modal-open');
   };
 
-  triggers.forEach((trigger) => {
-    trigger.addEventListener('click', openModal);
+  const openCreateModal = async () => {
+    if (getUserRole() !== 'creator') return;
+    openModal();
+    try {
+      const [draft] = await listDrafts({ source: 'create' });
+      if (draft && !drafts.id && !editingPhoto) {
+        applyDraft(draft);
+      }
+    } catch (error) {
+      console.warn(error.message);
+    }
+  };
+
+  const resumeDraft = (draft) => {
+    if (!modal.classList.contains('hidden')) closeModal();
+    resetForm();
+    applyDraft(draft);
+    openModal();
+  };
+
+  const openSharedPhotos = ({ files, title, text, url }) => {
+    if (!modal.classList.contains('hidden')) closeModal();
+    resetForm();
+    if (setInputFiles(fileInput, files.slice(0, 1))) {
+      fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    document.getElementById('create-title').value = title || '';
+    document.getElementById('create-caption').value = [text, url].filter(Boolean).join(' ');
+    openModal();
+    if (files.length > 1) {
+      feedback.textContent = `Only the first of ${files.length} shared photos was added. Use the upload form on your dashboard to post several at once.`;
+    }
+    document.getElementById('create-title').focus();
+  };
+
+  discardDraftBtn.addEventListener('click', async () => {
+    await drafts.discard();
+    resetForm();
+    feedback.textContent = 'Draft discarded.';
+  });
+
+  const openEditModal = (photo) => {
+    if (getUserRole() !== 'creator') return;
+    resetForm();
+    setEditing(photo);
+    document.getElementById('create-title').value = photo.title || '';
+    document.getElementById('create-caption').value = photo.caption || '';
+    locationAutocomplete?.setPlace({ name: photo.location, coordinates: photo.coordinates });
+    peopleSelector?.setSelected(photo.people);
+    captionMentions?.setMentions(photo.mentions);
+    openModal();
+    document.getElementById('create-title').focus();
+  };
+
+  createPostModal = {
+    open: openCreateModal,
+    edit: openEditModal,
+    resume: resumeDraft,
+    share: openSharedPhotos,
+  };
+
+  document.addEventListener('click', (event) => {
+    if (event.target.closest('[data-action="open-create-modal"]')) {
+      openCreateModal();
+    }
   });
 
-  closeBtn?.addEventListener('click', closeModal);
-  cancelBtn?.addEventListener('click', closeModal);
+  closeBtn?.addEventListener('click', () => closeModal());
+  cancelBtn?.addEventListener('click', () => closeModal());
   modal.addEventListener('click', (event) => {
     if (event.target === modal) {
       closeModal();
@@ -1030,25 +6801,68 @@ function bindCreatePostModal() {
 
   form.addEventListener('submit', async (event) => {
     event.preventDefault();
-    if (!fileInput || !fileInput.files.length) {
+    const editing = editingPhoto;
+    const hasFile = Boolean(fileInput?.files.length);
+    if (!editing && !hasFile) {
       feedback.textContent = 'Please select a photo.';
       return;
     }
 
     try {
       feedback.textContent = '';
+      const publishAt = editing ? null : schedulePicker?.getPublishAt() || null;
       if (submitBtn) submitBtn.disabled = true;
 
-      const imageUrl = await uploadImageFile(fileInput.files[0]);
-      await createPhotoRecord({
+      let imageUrl;
+      if (hasFile) {
+        feedback.textContent = 'Optimizing photo...';
+        const prepared = imagePreprocessing
+          ? await imagePreprocessing.process(fileInput.files[0])
+          : { file: fileInput.files[0] };
+        imageUrl = await uploadImageFile(prepared.file, {
+          onProgress: (ratio) => {
+            feedback.textContent = `Uploading... ${Math.round(ratio * 100)}%`;
+          },
+        });
+      }
+      const place = locationAutocomplete?.getPlace();
+      const fields = {
         title: document.getElementById('create-title').value.trim(),
         caption: document.getElementById('create-caption').value.trim(),
-        location: locationAutocomplete ? locationAutocomplete.getValue() : '',
+        location: place?.name || '',
+        coordinates: place?.coordinates || null,
         people: peopleSelector ? peopleSelector.getSelectedIds() : [],
+        mentions: captionMentions?.getMentions() || [],
         imageUrl,
-      });
+        publishAt,
+      };
+
+      if (editing) {
+        feedback.textContent = 'Saving...';
+        const payload = await updatePhotoRecord(editing._id, fields);
+        const people = peopleSelector
+          ? peopleSelector.getSelected().map((person) => ({ userId: person.id, name: person.name }))
+          : editing.people;
+        closeModal({ keepDraft: false });
+        const saved = payload?._id === editing._id ? payload : {};
+        applyPhotoUpdate({
+          ...editing,
+          ...saved,
+          ...fields,
+          coordinates: fields.coordinates || saved.coordinates,
+          people,
+          imageUrl: imageUrl || saved.imageUrl || editing.imageUrl,
+        });
+        announce('Photo updated.');
+        return;
+      }
 
-      closeModal();
+      feedback.textContent = publishAt ? 'Scheduling...' : 'Publishing...';
+      await createPhotoRecord(fields);
+
+      await drafts.discard();
+      closeModal({ keepDraft: false });
+      if (publishAt) showToast(`Scheduled for ${formatPublishTime(publishAt)}.`);
       const searchInput = document.getElementById('search-input');
       const currentQuery = searchInput ? searchInput.value.trim() : '';
       refreshFeeds(currentQuery);
@@ -1063,34 +6877,172 @@ function bindCreatePostModal() {
   });
 }
 
-async function updateProfileAvatar(file) {
-  const formData = new FormData();
-  formData.append('avatar', file);
+async function updateProfileAvatar(file) {
+  const formData = new FormData();
+  formData.append('avatar', file);
+
+  const payload = await api.patch('/users/me', formData, {
+    errorMessage: 'Unable to update profile',
+  });
+
+  if (currentUser && (currentUser.id === payload.id || currentUser._id === payload.id)) {
+    currentUser = { ...currentUser, ...payload };
+  }
+
+  return payload;
+}
+
+const CONNECTIONS_PAGE_SIZE = 20;
+
+function getFollowCounts(user) {
+  return {
+    followers: Number(user?.followersCount ?? user?.followerCount ?? user?.followers?.length) || 0,
+    following: Number(user?.followingCount ?? user?.following?.length) || 0,
+  };
+}
+
+function isFollowingUser(user, viewerId) {
+  if (typeof user?.isFollowing === 'boolean') return user.isFollowing;
+  return (user?.followers || []).some((entry) => (entry?._id || entry?.id || entry) === viewerId);
+}
+
+function followUser(userId, follow) {
+  const path = `/users/${encodeURIComponent(userId)}/follow`;
+  return follow
+    ? api.post(path, {}, { errorMessage: 'Unable to follow this user' })
+    : api.delete(path, { errorMessage: 'Unable to unfollow this user' });
+}
+
+async function fetchConnections(userId, type, { page = 1, signal } = {}) {
+  const params = new URLSearchParams({ page: String(page), limit: String(CONNECTIONS_PAGE_SIZE) });
+  const payload = await api.get(`/users/${encodeURIComponent(userId)}/${type}?${params.toString()}`, {
+    signal,
+    errorMessage: `Unable to load ${type}`,
+  });
+  const users = (Array.isArray(payload) ? payload : payload?.users || payload?.items || [])
+    .map(normalizeUser)
+    .filter(Boolean);
+  const hasMore =
+    typeof payload?.hasMore === 'boolean' ? payload.hasMore : users.length >= CONNECTIONS_PAGE_SIZE;
+  return { users, hasMore };
+}
+
+function renderFollowCounts(counts) {
+  const followerEl = document.getElementById('profile-follower-count');
+  const followingEl = document.getElementById('profile-following-count');
+  if (followerEl) followerEl.textContent = counts.followers;
+  if (followingEl) followingEl.textContent = counts.following;
+}
+
+function renderFollowButton(button, following) {
+  button.textContent = following ? 'Following' : 'Follow';
+  button.setAttribute('aria-pressed', String(following));
+  button.classList.toggle('btn-primary', !following);
+  button.classList.toggle('btn-ghost', following);
+}
+
+function setupProfileConnections(profileId, { signal } = {}) {
+  const section = document.getElementById('profile-connections');
+  const list = document.getElementById('profile-connections-list');
+  const status = document.getElementById('profile-connections-status');
+  const moreBtn = section?.querySelector('[data-action="more-connections"]');
+  if (!section || !list) return null;
+
+  const state = { type: 'followers', page: 1, requestId: 0 };
+
+  const loadPage = async () => {
+    state.requestId += 1;
+    const { requestId, type } = state;
+    moreBtn.disabled = true;
+    status.textContent = 'Loading...';
+    try {
+      const { users, hasMore } = await fetchConnections(profileId, type, { page: state.page, signal });
+      if (requestId !== state.requestId) return;
+      list.insertAdjacentHTML('beforeend', users.map((user) => renderUserListItem(user, user._id)).join(''));
+      state.page += 1;
+      moreBtn.classList.toggle('hidden', !hasMore);
+      if (list.children.length) {
+        status.textContent = '';
+      } else {
+        status.textContent = type === 'followers' ? 'No followers yet.' : 'Not following anyone yet.';
+      }
+    } catch (error) {
+      if (isAbortError(error) || requestId !== state.requestId) return;
+      status.textContent = error.message;
+    } finally {
+      moreBtn.disabled = false;
+    }
+  };
+
+  const show = (type) => {
+    state.type = type;
+    state.page = 1;
+    list.innerHTML = '';
+    moreBtn.classList.add('hidden');
+    section.querySelectorAll('[data-connections]').forEach((button) => {
+      const active = button.dataset.connections === type;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+    loadPage();
+  };
 
-  const res = await fetchWithAuth('/users/me', {
-    method: 'PATCH',
-    body: formData,
+  document.querySelectorAll('[data-connections]').forEach((button) => {
+    button.addEventListener('click', () => {
+      if (!section.contains(button)) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      show(button.dataset.connections);
+    });
   });
+  moreBtn.addEventListener('click', loadPage);
 
-  let payload;
-  try {
-    payload = await res.json();
-  } catch (error) {
-    throw new Error('Unexpected response from server');
-  }
-
-  if (!res.ok) {
-    throw new Error(payload?.message || 'Unable to update profile');
-  }
+  show(state.type);
+  return { reload: () => show(state.type) };
+}
 
-  if (currentUser && (currentUser.id === payload.id || currentUser._id === payload.id)) {
-    currentUser = { ...currentUser, ...payload };
+function bindFollowButton(profile, { viewerId, connections } = {}) {
+  const button = document.getElementById('follow-btn');
+  if (!button) return;
+  const profileId = profile._id || profile.id;
+  if (!viewerId || viewerId === profileId) {
+    button.classList.add('hidden');
+    return;
   }
 
-  return payload;
+  let following = isFollowingUser(profile, viewerId);
+  let counts = getFollowCounts(profile);
+  renderFollowButton(button, following);
+  button.classList.remove('hidden');
+
+  button.addEventListener('click', async () => {
+    const previous = { following, counts };
+    following = !following;
+    counts = { ...counts, followers: Math.max(0, counts.followers + (following ? 1 : -1)) };
+    renderFollowButton(button, following);
+    renderFollowCounts(counts);
+    button.disabled = true;
+    try {
+      const payload = await followUser(profileId, following);
+      if (payload && typeof payload === 'object') {
+        if (typeof payload.isFollowing === 'boolean') following = payload.isFollowing;
+        if (payload.followersCount !== undefined || payload.followers) {
+          counts = { ...counts, followers: getFollowCounts(payload).followers };
+        }
+        renderFollowButton(button, following);
+        renderFollowCounts(counts);
+      }
+      connections?.reload();
+    } catch (error) {
+      ({ following, counts } = previous);
+      renderFollowButton(button, following);
+      renderFollowCounts(counts);
+      showToast(error.message);
+    } finally {
+      button.disabled = false;
+    }
+  });
 }
 
-async function loadProfilePage() {
+async function loadProfilePage({ signal } = {}) {
   const grid = document.getElementById('profile-photo-grid');
   const nameEl = document.getElementById('profile-name');
   const roleEl = document.getElementById('profile-role');
@@ -1111,22 +7063,16 @@ async function loadProfilePage() {
   }
 
   if (!profileId) {
-    window.location.href = 'login.html';
+    navigateTo('login.html', { replace: true });
     return;
   }
 
   try {
     grid.innerHTML = '<p class="empty-state">Loading profile...</p>';
-    const res = await fetchWithAuth(`/users/${profileId}`);
-    let data;
-    try {
-      data = await res.json();
-    } catch (error) {
-      throw new Error('Unexpected response from server');
-    }
-    if (!res.ok) {
-      throw new Error(data?.message || 'Unable to load profile');
-    }
+    const data = await api.get(`/users/${profileId}`, {
+      signal,
+      errorMessage: 'Unable to load profile',
+    });
 
     if (nameEl) nameEl.textContent = data.name || 'User';
     if (roleEl) {
@@ -1142,16 +7088,22 @@ async function loadProfilePage() {
       avatarEl.alt = `${data.name || 'User'} avatar`;
     }
     if (postCountEl) postCountEl.textContent = data.photos?.length || 0;
+    renderFollowCounts(getFollowCounts(data));
+    const connections = setupProfileConnections(data._id || data.id || profileId, { signal });
+    bindFollowButton({ _id: profileId, ...data }, { viewerId, connections });
 
+    const isSelf = viewerId && (viewerId === data.id || viewerId === data._id);
+    const isCreator = data.role === 'creator';
     const feedSection = document.getElementById('profile-feed-section');
-    if (data.role !== 'creator') {
-      if (feedSection) feedSection.classList.add('hidden');
-    } else {
-      feedSection?.classList.remove('hidden');
-      renderPhotoGrid(grid, data.photos || [], { emptyMessage: 'No posts yet.' });
-    }
+    feedSection?.classList.toggle('hidden', !isCreator && !isSelf);
+    document.querySelector('[data-profile-tab="posts"]')?.classList.toggle('hidden', !isCreator);
+    document.querySelectorAll('[data-profile-tab]').forEach((button) => {
+      button.addEventListener('click', () => setProfileTab(button.dataset.profileTab));
+    });
+    setProfileTab(isCreator ? 'posts' : 'albums');
+    if (isCreator) renderPhotoGrid(grid, data.photos || [], { emptyMessage: 'No posts yet.' });
+    if (isCreator || isSelf) loadProfileAlbums(profileId, { isSelf, signal });
 
-    const isSelf = viewerId && (viewerId === data.id || viewerId === data._id);
     if (avatarInput) {
       if (!isSelf) {
         if (avatarUpload) avatarUpload.classList.add('hidden');
@@ -1179,10 +7131,470 @@ async function loadProfilePage() {
       }
     }
   } catch (error) {
+    if (isAbortError(error)) return;
+    grid.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+const collectionPicker = { el: null, photoId: null, returnFocus: null };
+let viewerCollectionsRequest = null;
+
+function normalizeCollection(collection) {
+  const photos = Array.isArray(collection?.photos) ? collection.photos : [];
+  const photoIds = Array.isArray(collection?.photoIds)
+    ? collection.photoIds
+    : photos.map((photo) => photo?._id || photo?.id || photo);
+  return {
+    ...collection,
+    _id: collection._id || collection.id,
+    name: collection.name || 'Untitled collection',
+    visibility: collection.visibility === 'public' || collection.isPublic ? 'public' : 'private',
+    photos,
+    photoIds: photoIds.filter(Boolean).map(String),
+  };
+}
+
+function normalizeCollectionList(payload) {
+  return (Array.isArray(payload) ? payload : payload?.collections || payload?.items || [])
+    .filter(Boolean)
+    .map(normalizeCollection);
+}
+
+function getViewerCollections({ refresh = false } = {}) {
+  if (!viewerCollectionsRequest || refresh) {
+    const request = api
+      .get('/collections', { cache: 'no-store', errorMessage: 'Unable to load collections' })
+      .then(normalizeCollectionList);
+    request.catch(() => {
+      if (viewerCollectionsRequest === request) viewerCollectionsRequest = null;
+    });
+    viewerCollectionsRequest = request;
+  }
+  return viewerCollectionsRequest;
+}
+
+function fetchUserCollections(userId, { signal } = {}) {
+  return api
+    .get(`/users/${encodeURIComponent(userId)}/collections`, {
+      signal,
+      errorMessage: 'Unable to load albums',
+    })
+    .then(normalizeCollectionList);
+}
+
+function createCollection({ name, visibility }) {
+  return api
+    .post('/collections', { name, visibility }, { errorMessage: 'Unable to create collection' })
+    .then((payload) => normalizeCollection(payload?.collection || payload));
+}
+
+function setCollectionPhoto(collectionId, photoId, included) {
+  const path = `/collections/${encodeURIComponent(collectionId)}/photos`;
+  return included
+    ? api.post(path, { photoId }, { errorMessage: 'Unable to add photo to collection' })
+    : api.delete(`${path}/${encodeURIComponent(photoId)}`, {
+        errorMessage: 'Unable to remove photo from collection',
+      });
+}
+
+function reorderCollection(collectionId, photoIds) {
+  return api.put(
+    `/collections/${encodeURIComponent(collectionId)}/photos`,
+    { photoIds },
+    { errorMessage: 'Unable to save the new order' },
+  );
+}
+
+function isOwnPhoto(photoId) {
+  const photo = photoCache.get(photoId);
+  const creatorId = photo?.creator?._id || photo?.creator?.id || photo?.creatorId;
+  return Boolean(creatorId) && creatorId === localStorage.getItem('photoshare_user_id');
+}
+
+function renderCollectionOption(collection, photoId) {
+  const checked = collection.photoIds.includes(photoId);
+  return `
+    <li>
+      <label class="checkbox collection-option">
+        <input type="checkbox" data-collection-id="${escapeHtml(collection._id)}" ${checked ? 'checked' : ''} />
+        <span>${escapeHtml(collection.name)}</span>
+        <span class="muted small">${collection.visibility === 'public' ? 'Public album' : 'Private'}</span>
+      </label>
+    </li>
+  `;
+}
+
+async function renderCollectionOptions() {
+  const { el, photoId } = collectionPicker;
+  const list = el.querySelector('.collection-options');
+  const status = el.querySelector('.collections-status');
+  try {
+    const collections = await getViewerCollections();
+    if (collectionPicker.photoId !== photoId) return;
+    const ownPhoto = isOwnPhoto(photoId);
+    const available = collections.filter(
+      (collection) => collection.visibility === 'private' || ownPhoto,
+    );
+    list.innerHTML = available.map((collection) => renderCollectionOption(collection, photoId)).join('');
+    status.textContent = available.length ? '' : 'No collections yet. Create one below.';
+  } catch (error) {
+    if (collectionPicker.photoId === photoId) status.textContent = error.message;
+  }
+}
+
+async function toggleCollectionPhoto(input) {
+  const { photoId } = collectionPicker;
+  const collectionId = input.dataset.collectionId;
+  const included = input.checked;
+  const collection = (await getViewerCollections()).find((entry) => entry._id === collectionId);
+  if (!collection) return;
+
+  const update = (value) => {
+    collection.photoIds = value
+      ? [...collection.photoIds.filter((id) => id !== photoId), photoId]
+      : collection.photoIds.filter((id) => id !== photoId);
+  };
+  update(included);
+  input.disabled = true;
+  try {
+    await setCollectionPhoto(collectionId, photoId, included);
+    if (!included) removeAlbumCard(collectionId, photoId);
+  } catch (error) {
+    update(!included);
+    input.checked = !included;
+    showToast(error.message);
+  } finally {
+    input.disabled = false;
+  }
+}
+
+function removeAlbumCard(collectionId, photoId) {
+  const grid = document.getElementById('album-photo-grid');
+  if (!grid || grid.dataset.collectionId !== collectionId) return;
+  grid.querySelector(`.photo-card[data-id="${CSS.escape(photoId)}"]`)?.remove();
+  syncPhotoGridState(grid);
+}
+
+function ensureCollectionPicker() {
+  if (collectionPicker.el) return collectionPicker.el;
+
+  const el = document.createElement('div');
+  el.id = 'collection-picker';
+  el.className = 'modal hidden';
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-modal', 'true');
+  el.setAttribute('aria-labelledby', 'collection-picker-title');
+  el.dataset.persist = 'true';
+  el.innerHTML = `
+    <div class="modal-content collection-picker">
+      <button type="button" class="modal-close" data-action="close-collections" aria-label="Close collections">
+        ×
+      </button>
+      <h2 id="collection-picker-title">Add to collection</h2>
+      <ul class="collection-options"></ul>
+      <p class="collections-status muted small" aria-live="polite"></p>
+      <form class="form collection-create-form">
+        <label for="collection-name">New collection</label>
+        <input id="collection-name" type="text" maxlength="80" placeholder="Collection name" required />
+        <select data-role="collection-visibility" aria-label="Visibility">
+          <option value="private">Private board</option>
+          <option value="public">Public album</option>
+        </select>
+        <button type="submit" class="btn btn-primary">Create and add</button>
+      </form>
+    </div>
+  `;
+
+  el.addEventListener('click', (event) => {
+    if (event.target === el || event.target.closest('[data-action="close-collections"]')) {
+      closeCollectionPicker();
+    }
+  });
+  el.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeCollectionPicker();
+  });
+  el.addEventListener('change', (event) => {
+    if (event.target.matches('input[data-collection-id]')) toggleCollectionPhoto(event.target);
+  });
+  el.querySelector('.collection-create-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const nameInput = form.querySelector('#collection-name');
+    const visibilitySelect = form.querySelector('[data-role="collection-visibility"]');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const { photoId } = collectionPicker;
+    const name = nameInput.value.trim();
+    if (!name) return;
+
+    submitBtn.disabled = true;
+    try {
+      const collection = await createCollection({ name, visibility: visibilitySelect.value });
+      await setCollectionPhoto(collection._id, photoId, true);
+      collection.photoIds = [...collection.photoIds.filter((id) => id !== photoId), photoId];
+      (await getViewerCollections()).push(collection);
+      form.reset();
+      renderCollectionOptions();
+    } catch (error) {
+      el.querySelector('.collections-status').textContent = error.message;
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  document.body.appendChild(el);
+  collectionPicker.el = el;
+  return el;
+}
+
+function openCollectionPicker(photoId) {
+  const el = ensureCollectionPicker();
+  if (el.classList.contains('hidden')) collectionPicker.returnFocus = document.activeElement;
+  collectionPicker.photoId = photoId;
+
+  const canPublish = getUserRole() === 'creator' && isOwnPhoto(photoId);
+  const visibilitySelect = el.querySelector('[data-role="collection-visibility"]');
+  visibilitySelect.value = 'private';
+  visibilitySelect.classList.toggle('hidden', !canPublish);
+  el.querySelector('.collection-options').innerHTML = '';
+  el.querySelector('.collections-status').textContent = 'Loading collections...';
+  el.classList.remove('hidden');
+  document.body.classList.add('modal-open');
+  el.querySelector('.modal-close').focus();
+  renderCollectionOptions();
+}
+
+function closeCollectionPicker({ restoreFocus = true } = {}) {
+  const { el } = collectionPicker;
+  if (!el || el.classList.contains('hidden')) return;
+  collectionPicker.photoId = null;
+  el.classList.add('hidden');
+  document.body.classList.toggle('modal-open', Boolean(document.querySelector('.modal:not(.hidden)')));
+  if (restoreFocus) collectionPicker.returnFocus?.focus?.();
+  collectionPicker.returnFocus = null;
+}
+
+function bindCollectionTriggers() {
+  document.addEventListener('click', (event) => {
+    const trigger = event.target.closest('[data-action="add-to-collection"]');
+    if (!trigger?.dataset.photoId) return;
+    event.preventDefault();
+    openCollectionPicker(trigger.dataset.photoId);
+  });
+}
+
+function renderAlbumCard(collection) {
+  const cover =
+    collection.coverUrl || collection.photos.find((photo) => photo?.imageUrl)?.imageUrl || '';
+  const count = Number(collection.photoCount ?? collection.photoIds.length) || 0;
+  return `
+    <a class="album-card" href="album.html?id=${encodeURIComponent(collection._id)}">
+      <div class="album-cover">
+        ${cover ? `<img src="${escapeHtml(cover)}" alt="" loading="lazy" />` : ''}
+      </div>
+      <div class="album-card-body">
+        <strong>${escapeHtml(collection.name)}</strong>
+        <span class="muted small">
+          ${count} photo${count === 1 ? '' : 's'}${collection.visibility === 'private' ? ' · Private' : ''}
+        </span>
+      </div>
+    </a>
+  `;
+}
+
+const PHOTO_REORDER_DELAY = 600;
+
+function enablePhotoReordering(grid, { onReorder, signal }) {
+  const getOrder = () =>
+    Array.from(grid.querySelectorAll('.photo-card')).map((card) => card.dataset.id);
+  const getCard = (photoId) => grid.querySelector(`.photo-card[data-id="${CSS.escape(photoId)}"]`);
+  const restoreOrder = (order) => {
+    order.forEach((photoId) => {
+      const card = getCard(photoId);
+      if (card) grid.appendChild(card);
+    });
+  };
+  let dragged = null;
+  let startOrder = null;
+  let savedOrder = getOrder();
+  let saving = Promise.resolve();
+  let commitTimer = null;
+
+  const commit = () => {
+    clearTimeout(commitTimer);
+    commitTimer = null;
+    saving = saving.then(async () => {
+      const order = getOrder();
+      if (order.join(',') === savedOrder.join(',')) return;
+      try {
+        await onReorder(order);
+        savedOrder = order;
+      } catch (error) {
+        restoreOrder(savedOrder);
+        showToast(error.message);
+      }
+    });
+  };
+
+  const scheduleCommit = () => {
+    clearTimeout(commitTimer);
+    commitTimer = setTimeout(commit, PHOTO_REORDER_DELAY);
+  };
+  signal?.addEventListener('abort', () => {
+    if (commitTimer) commit();
+  });
+
+  grid.classList.add('is-reorderable');
+  grid.querySelectorAll('.photo-card').forEach((card) => {
+    card.draggable = true;
+  });
+
+  grid.addEventListener('dragstart', (event) => {
+    dragged = event.target.closest?.('.photo-card');
+    if (!dragged) return;
+    startOrder = getOrder();
+    dragged.classList.add('is-dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', dragged.dataset.id);
+  });
+  grid.addEventListener('dragover', (event) => {
+    if (!dragged) return;
+    event.preventDefault();
+    const target = event.target.closest('.photo-card');
+    if (!target || target === dragged) return;
+    const rect = target.getBoundingClientRect();
+    const after =
+      event.clientY > rect.bottom || (event.clientY >= rect.top && event.clientX > rect.left + rect.width / 2);
+    target.insertAdjacentElement(after ? 'afterend' : 'beforebegin', dragged);
+  });
+  grid.addEventListener('drop', (event) => {
+    if (dragged) event.preventDefault();
+  });
+  grid.addEventListener('dragend', (event) => {
+    if (!dragged) return;
+    dragged.classList.remove('is-dragging');
+    dragged = null;
+    if (event.dataTransfer?.dropEffect === 'none') {
+      restoreOrder(startOrder);
+      return;
+    }
+    commit();
+  });
+  grid.addEventListener('keydown', (event) => {
+    const card = event.target.closest('.photo-card');
+    if (!event.altKey || !card || event.target !== card) return;
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') {
+      card.previousElementSibling?.before(card);
+    } else if (event.key === 'ArrowRight' || event.key === 'ArrowDown') {
+      card.nextElementSibling?.after(card);
+    } else {
+      return;
+    }
+    event.preventDefault();
+    card.focus();
+    scheduleCommit();
+  });
+}
+
+async function loadAlbumPage({ signal } = {}) {
+  const grid = document.getElementById('album-photo-grid');
+  const titleEl = document.getElementById('album-title');
+  const metaEl = document.getElementById('album-meta');
+  if (!grid) return;
+
+  const collectionId = new URLSearchParams(window.location.search).get('id');
+  if (!collectionId) {
+    navigateTo('profile.html', { replace: true });
+    return;
+  }
+
+  try {
+    const payload = await api.get(`/collections/${encodeURIComponent(collectionId)}?expand=photos`, {
+      signal,
+      errorMessage: 'Unable to load collection',
+    });
+    const collection = normalizeCollection(payload?.collection || payload);
+    let photos = collection.photos.filter((photo) => photo?._id);
+    if (!photos.length && collection.photoIds.length) {
+      const results = await Promise.allSettled(
+        collection.photoIds.map(
+          (photoId) =>
+            photoCache.get(photoId) ||
+            api.get(`/photos/${encodeURIComponent(photoId)}`, {
+              signal,
+              errorMessage: 'Failed to load photo',
+            }),
+        ),
+      );
+      const failure = results.find(
+        (result) => result.status === 'rejected' && result.reason?.status !== 404,
+      );
+      if (failure) throw failure.reason;
+      photos = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+    }
+
+    const owner = collection.owner || collection.user || {};
+    const ownerId = owner._id || owner.id || collection.ownerId || collection.userId;
+    const isOwner = Boolean(ownerId) && ownerId === localStorage.getItem('photoshare_user_id');
+    document.title = `PhotoShare | ${collection.name}`;
+    titleEl.textContent = collection.name;
+    metaEl.innerHTML = [
+      collection.visibility === 'public' ? 'Public album' : 'Private board',
+      owner.name && ownerId
+        ? `by <a href="profile.html?id=${encodeURIComponent(ownerId)}">${escapeHtml(owner.name)}</a>`
+        : '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+
+    grid.dataset.collectionId = collection._id;
+    renderPhotoGrid(grid, photos, { emptyMessage: 'No photos in this collection yet.' });
+    syncPhotoGridState(grid);
+
+    if (isOwner && photos.length > 1) {
+      document.getElementById('album-reorder-hint')?.classList.remove('hidden');
+      enablePhotoReordering(grid, {
+        onReorder: (photoIds) => reorderCollection(collection._id, photoIds),
+        signal,
+      });
+    }
+  } catch (error) {
+    if (isAbortError(error)) return;
+    if (titleEl) titleEl.textContent = 'Collection unavailable';
     grid.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
   }
 }
 
+async function loadProfileAlbums(profileId, { isSelf, signal } = {}) {
+  const container = document.getElementById('profile-albums');
+  const countEl = document.getElementById('profile-album-count');
+  if (!container) return;
+
+  try {
+    const collections = isSelf
+      ? await getViewerCollections({ refresh: true })
+      : await fetchUserCollections(profileId, { signal });
+    if (signal?.aborted) return;
+    if (countEl) countEl.textContent = collections.length;
+    container.innerHTML = collections.length
+      ? collections.map(renderAlbumCard).join('')
+      : `<p class="empty-state">${isSelf ? 'Save photos to collections to see them here.' : 'No albums yet.'}</p>`;
+  } catch (error) {
+    if (isAbortError(error)) return;
+    container.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function setProfileTab(tab) {
+  document.querySelectorAll('[data-profile-tab]').forEach((button) => {
+    const active = button.dataset.profileTab === tab;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
+  document.querySelectorAll('[data-profile-panel]').forEach((panel) => {
+    panel.classList.toggle('hidden', panel.dataset.profilePanel !== tab);
+  });
+}
+
 async function hydrateSession() {
   try {
     const token = getToken();
@@ -1190,9 +7602,7 @@ async function hydrateSession() {
       return null;
     }
 
-    const res = await fetchWithAuth('/auth/me', { cache: 'no-store' });
-    if (!res.ok) throw new Error('Session expired');
-    const data = await res.json();
+    const data = await api.get('/auth/me', { cache: 'no-store', errorMessage: 'Session expired' });
     setUserRole(data.role);
     setUserName(data.name);
     localStorage.setItem('photoshare_user_id', data.id || data._id);
@@ -1200,83 +7610,304 @@ async function hydrateSession() {
     return data;
   } catch (error) {
     console.warn(error.message);
-    logout();
-    currentUser = null;
-    return null;
+    if (error instanceof AuthError) {
+      clearSession();
+      return null;
+    }
+    currentUser = getCachedUser();
+    return currentUser;
   }
 }
 
-async function init() {
+function mountFeedView({ signal }) {
+  const params = new URLSearchParams(window.location.search);
+  const initialQuery = readSearchQuery(params);
+  if (initialQuery) {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = initialQuery;
+  }
+  bindSearch({ signal });
+  bindCreatePostModal();
+  bindFeedViewToggle();
+  bindFeedSourceToggle();
+  setFeedView(params.get('view'), { query: initialQuery, updateUrl: false });
+  syncLightboxWithUrl();
+  receiveSharedPhotos();
+  watchFeedUpdates('photo-grid', { isActive: () => getFeedSource() === 'everyone', signal });
+  watchFeedUpdates('photo-grid', {
+    channel: 'photos:following',
+    isActive: () => getFeedSource() === 'following',
+    signal,
+  });
+
+  signal.addEventListener('abort', () => {
+    stopFeed('photo-grid');
+    destroyFeedMap();
+  });
+}
+
+function mountPhotoView({ signal }) {
+  bindSearch({ signal });
+  bindCreatePostModal();
+  loadPhotoDetail({ signal });
+}
+
+function mountCreatorView({ signal, setLeaveGuard }) {
+  const params = new URLSearchParams(window.location.search);
+  const initialQuery = readSearchQuery(params);
+  if (initialQuery) {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = initialQuery;
+  }
+  bindSearch({ signal });
+  bindScheduledList({ signal });
+  loadCreatorDashboard({ signal });
+  const uploadForm = bindUploadForm({ signal });
+  bindCreatePostModal();
+  bindDraftList({ uploadForm, signal });
+  receiveSharedPhotos();
+  refreshFeeds(initialQuery);
+  watchFeedUpdates('dashboard-photo-grid', { signal });
+  syncLightboxWithUrl();
+
+  setLeaveGuard(() =>
+    uploadForm?.isBusy() ? 'Uploads are still in progress. Leave and cancel them?' : null,
+  );
+  signal.addEventListener('abort', () => stopFeed('dashboard-photo-grid'));
+}
+
+function mountAlbumView({ signal }) {
+  bindSearch({ signal });
+  bindCreatePostModal();
+  loadAlbumPage({ signal });
+  syncLightboxWithUrl();
+}
+
+function mountProfileView({ signal }) {
+  bindSearch({ signal });
+  bindCreatePostModal();
+  loadProfilePage({ signal });
+  syncLightboxWithUrl();
+}
+
+const ROUTES = [
+  { name: 'feed', file: 'index.html', page: 'feed', params: SEARCH_URL_KEYS, mount: mountFeedView },
+  { name: 'photo', file: 'photo.html', page: 'photo-detail', params: ['id'], mount: mountPhotoView },
+  { name: 'profile', file: 'profile.html', page: 'profile', params: ['id'], mount: mountProfileView },
+  { name: 'album', file: 'album.html', page: 'album', params: ['id'], mount: mountAlbumView },
+  {
+    name: 'creator',
+    file: 'creator.html',
+    page: 'creator-dashboard',
+    params: SEARCH_URL_KEYS,
+    role: 'creator',
+    mount: mountCreatorView,
+  },
+  { name: 'login', file: 'login.html', page: 'login', params: [], guest: true, mount: bindLoginForm },
+  { name: 'signup', file: 'signup.html', page: 'signup', params: [], guest: true, mount: bindSignupForm },
+];
+
+const router = {
+  started: false,
+  base: '',
+  current: null,
+  templates: new Map(),
+  navigationId: 0,
+};
+
+function matchRoute(url) {
+  if (!url.href.startsWith(router.base)) return null;
+  const file = url.pathname.slice(new URL(router.base).pathname.length) || 'index.html';
+  if (file.includes('/')) return null;
+  const route = ROUTES.find((entry) => entry.file === file || entry.file === `${file}.html`);
+  if (!route) return null;
+
+  const params = {};
+  route.params.forEach((key) => {
+    const value = url.searchParams.get(key);
+    if (value) params[key] = value;
+  });
+  return { route, params };
+}
+
+function isCurrentView(match) {
+  const { current } = router;
+  if (!current || current.route !== match.route) return false;
+  return match.route.params.every((key) => current.params[key] === match.params[key]);
+}
+
+function getRouteRedirect(route) {
+  const token = getToken();
+  if (!token && !route.guest) return 'login.html';
+  if (token && route.guest) return 'index.html';
+  if (route.role && getUserRole() !== route.role) return 'index.html';
+  return null;
+}
+
+function loadRouteTemplate(route) {
+  if (!router.templates.has(route.file)) {
+    const request = fetch(new URL(route.file, router.base), { credentials: 'same-origin' })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Unable to load ${route.file}`);
+        return response.text();
+      })
+      .then((html) => new DOMParser().parseFromString(html, 'text/html'));
+    request.catch(() => router.templates.delete(route.file));
+    router.templates.set(route.file, request);
+  }
+  return router.templates.get(route.file);
+}
+
+function swapRouteDocument(route, template) {
+  const { body } = document;
+  const persistent = Array.from(body.children).filter((el) => el.dataset.persist);
+  Array.from(body.children).forEach((el) => {
+    if (!el.dataset.persist) el.remove();
+  });
+
+  const fragment = document.createDocumentFragment();
+  Array.from(template.body.childNodes).forEach((node) => {
+    if (node.id && persistent.some((el) => el.id === node.id)) return;
+    const copy = document.importNode(node, true);
+    persistent
+      .filter((el) => el.id)
+      .forEach((el) => copy.querySelector?.(`#${CSS.escape(el.id)}`)?.remove());
+    fragment.appendChild(copy);
+  });
+  body.prepend(fragment);
+  body.dataset.page = route.page;
+  body.classList.toggle('modal-open', Boolean(document.querySelector('.modal:not(.hidden)')));
+  document.title = template.title;
+}
+
+function activateView(match) {
+  const controller = new AbortController();
+  const view = { ...match, controller, leaveGuard: null };
+  router.current = view;
+
   document.getElementById('year')?.append(new Date().getFullYear());
   bindLogoutButtons();
   updateNavigationVisibility();
+  bindNotificationCenter();
+  match.route.mount({
+    params: match.params,
+    signal: controller.signal,
+    setLeaveGuard: (guard) => {
+      view.leaveGuard = guard;
+    },
+  });
+}
 
-  const me = await hydrateSession();
-  updateNavigationVisibility();
+function deactivateView() {
+  if (!router.current) return;
+  router.current.controller.abort();
+  router.current = null;
+  closeLightbox({ fromHistory: true });
+  closeLikersModal({ restoreFocus: false });
+  closeCollectionPicker({ restoreFocus: false });
+}
 
-  const page = document.body.dataset.page;
-  const token = getToken();
-  if (!token && page !== 'login' && page !== 'signup') {
-    window.location.href = 'login.html';
+async function navigateTo(target, { replace = false, fromHistory = false } = {}) {
+  const url = new URL(target, window.location.href);
+  const match = router.started ? matchRoute(url) : null;
+  if (!match) {
+    window.location.assign(url.href);
     return;
   }
-  if (token && (page === 'login' || page === 'signup')) {
-    window.location.href = 'index.html';
+
+  const redirect = getRouteRedirect(match.route);
+  if (redirect) {
+    navigateTo(redirect, { replace: true });
     return;
   }
 
-  switch (page) {
-    case 'feed': {
-      bindSearch();
-      bindCreatePostModal();
-      const params = new URLSearchParams(window.location.search);
-      const initialQuery = params.get('q')?.trim() || '';
-      if (initialQuery) {
-        const searchInput = document.getElementById('search-input');
-        if (searchInput) searchInput.value = initialQuery;
-      }
-      loadFeed(initialQuery);
-      break;
+  const leaveMessage = router.current?.leaveGuard?.();
+  if (leaveMessage && !window.confirm(leaveMessage)) {
+    if (fromHistory) {
+      window.history.pushState(null, '', router.current.url);
     }
-    case 'photo-detail':
-      bindSearch();
-      bindCreatePostModal();
-      loadPhotoDetail();
-      break;
-    case 'login':
-      bindLoginForm();
-      break;
-    case 'signup':
-      bindSignupForm();
-      break;
-    case 'creator-dashboard': {
-      bindSearch();
-      loadCreatorDashboard();
-      bindUploadForm();
-      bindCreatePostModal();
-      const params = new URLSearchParams(window.location.search);
-      const initialQuery = params.get('q')?.trim() || '';
-      if (initialQuery) {
-        const searchInput = document.getElementById('search-input');
-        if (searchInput) searchInput.value = initialQuery;
-      }
-      refreshFeeds(initialQuery);
-      document.getElementById('dashboard-refresh')?.addEventListener('click', () => {
-        const searchInput = document.getElementById('search-input');
-        const value = searchInput ? searchInput.value.trim() : '';
-        refreshFeeds(value);
-      });
-      break;
+    return;
+  }
+
+  if (!fromHistory) {
+    if (replace || url.href === window.location.href) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
     }
-    case 'profile':
-      bindSearch();
-      bindCreatePostModal();
-      loadProfilePage();
-      break;
-    default:
-      break;
   }
+
+  const navigationId = (router.navigationId += 1);
+  deactivateView();
+  let template;
+  try {
+    template = await loadRouteTemplate(match.route);
+  } catch (error) {
+    console.warn(error.message);
+    window.location.assign(url.href);
+    return;
+  }
+  if (navigationId !== router.navigationId) return;
+
+  swapRouteDocument(match.route, template);
+  activateView({ ...match, url: url.href });
+  if (!fromHistory) window.scrollTo(0, 0);
+  announce(document.title);
+}
+
+function handleRouteLinkClick(event) {
+  if (event.defaultPrevented || event.button !== 0) return;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+  const link = event.target.closest('a[href]');
+  if (!link || link.target || link.hasAttribute('download')) return;
+
+  const url = new URL(link.href, window.location.href);
+  if (!matchRoute(url)) return;
+  event.preventDefault();
+  navigateTo(url.href);
+}
+
+function handleRoutePopState() {
+  const url = new URL(window.location.href);
+  const match = matchRoute(url);
+  if (match && isCurrentView(match)) {
+    router.current.url = url.href;
+    syncLightboxWithUrl();
+    return;
+  }
+  navigateTo(url.href, { fromHistory: true });
 }
 
-document.addEventListener('DOMContentLoaded', init);
+function startRouter(initialTemplate) {
+  router.base = new URL('.', window.location.href).href;
+  const route = ROUTES.find((entry) => entry.page === document.body.dataset.page);
+  if (!route) return;
+
+  router.started = true;
+  router.templates.set(route.file, Promise.resolve(initialTemplate));
+  document.addEventListener('click', handleRouteLinkClick);
+  window.addEventListener('popstate', handleRoutePopState);
+
+  const url = new URL(window.location.href);
+  const match = matchRoute(url) || { route, params: {} };
+  const redirect = getRouteRedirect(route);
+  if (redirect) {
+    navigateTo(redirect, { replace: true });
+    return;
+  }
+  activateView({ ...match, url: url.href });
+}
+
+async function init() {
+  const initialTemplate = document.cloneNode(true);
+  updateNavigationVisibility();
+  await hydrateSession();
+  scheduleSessionWarning();
+  registerServiceWorker();
+  bindConnectionStatus();
+  bindLikersTriggers();
+  bindCollectionTriggers();
+  startRouter(initialTemplate);
+}
 
+document.addEventListener('DOMContentLoaded', init);
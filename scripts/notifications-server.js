@@ -0,0 +1,187 @@
+/* global require, process, __dirname */
+
+// Local stand-in for the notification endpoints. Serves the app from the repo
+// root on port 5000 so resolveApiBase() picks up `${origin}/api` automatically:
+//   node scripts/notifications-server.js
+// Other /api routes answer 404; point window.__PHOTOSHARE_API_BASE here from
+// tests that only need notifications.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 5000;
+const ROOT = path.resolve(__dirname, '..');
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+};
+
+const users = {
+  ana: { _id: 'u-ana', name: 'Ana', avatarUrl: 'https://placehold.co/40x40?text=A' },
+  ben: { _id: 'u-ben', name: 'Ben', avatarUrl: 'https://placehold.co/40x40?text=B' },
+  chloe: { _id: 'u-chloe', name: 'Chloe', avatarUrl: 'https://placehold.co/40x40?text=C' },
+  dev: { _id: 'u-dev', name: 'Dev', avatarUrl: 'https://placehold.co/40x40?text=D' },
+  eli: { _id: 'u-eli', name: 'Eli', avatarUrl: 'https://placehold.co/40x40?text=E' },
+};
+const photos = {
+  sunset: { _id: 'p-sunset', title: 'Sunset over the bay' },
+  market: { _id: 'p-market', title: 'Morning market' },
+};
+
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60000).toISOString();
+}
+
+function createFixtures() {
+  return [
+    { _id: 'n1', type: 'like', actor: users.ana, photo: photos.sunset, createdAt: minutesAgo(2), read: false },
+    { _id: 'n2', type: 'like', actor: users.ben, photo: photos.sunset, createdAt: minutesAgo(5), read: false },
+    { _id: 'n3', type: 'like', actor: users.chloe, photo: photos.sunset, createdAt: minutesAgo(9), read: false },
+    { _id: 'n4', type: 'like', actor: users.dev, photo: photos.sunset, createdAt: minutesAgo(14), read: false },
+    { _id: 'n5', type: 'like', actor: users.eli, photo: photos.sunset, createdAt: minutesAgo(20), read: false },
+    { _id: 'n6', type: 'comment', actor: users.ben, photo: photos.market, createdAt: minutesAgo(45), read: false },
+    { _id: 'n7', type: 'tag', actor: users.chloe, photo: photos.market, createdAt: minutesAgo(180), read: true },
+    { _id: 'n8', type: 'follow', actor: users.dev, createdAt: minutesAgo(600), read: false },
+    { _id: 'n9', type: 'follow', actor: users.ana, createdAt: minutesAgo(1440), read: true },
+  ];
+}
+
+let notifications = createFixtures();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function listNotifications(url) {
+  const limit = Math.max(1, Number(url.searchParams.get('limit')) || 50);
+  return {
+    notifications: notifications.slice(0, limit),
+    unreadCount: notifications.filter((item) => !item.read).length,
+  };
+}
+
+async function handleApi(req, res, url) {
+  const route = url.pathname.replace(/^\/api/, '').replace(/\/+$/, '');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    });
+    res.end();
+    return;
+  }
+
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+    sendJson(res, 401, { message: 'Unauthorized' });
+    return;
+  }
+
+  if (req.method === 'GET' && route === '/notifications') {
+    sendJson(res, 200, listNotifications(url));
+    return;
+  }
+
+  if (req.method === 'POST' && route === '/notifications/read') {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { message: 'Invalid JSON body' });
+      return;
+    }
+    if (!Array.isArray(body.ids)) {
+      sendJson(res, 400, { message: 'ids must be an array' });
+      return;
+    }
+    const ids = new Set(body.ids.map(String));
+    notifications.forEach((item) => {
+      if (ids.has(item._id)) item.read = true;
+    });
+    sendJson(res, 200, listNotifications(url));
+    return;
+  }
+
+  if (req.method === 'POST' && route === '/notifications/read-all') {
+    notifications.forEach((item) => {
+      item.read = true;
+    });
+    sendJson(res, 200, listNotifications(url));
+    return;
+  }
+
+  if (req.method === 'POST' && route === '/notifications/reset') {
+    notifications = createFixtures();
+    sendJson(res, 200, listNotifications(url));
+    return;
+  }
+
+  sendJson(res, 404, { message: `No stand-in for ${req.method} ${url.pathname}` });
+}
+
+function serveStatic(req, res, url) {
+  let relative;
+  try {
+    relative = decodeURIComponent(url.pathname).replace(/^\/+/, '') || 'index.html';
+  } catch (error) {
+    relative = '';
+  }
+  const filePath = path.resolve(ROOT, relative);
+  const hidden = relative.split(/[\\/]/).some((segment) => segment.startsWith('.'));
+  if (!relative || hidden || !filePath.startsWith(`${ROOT}${path.sep}`)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (url.pathname.startsWith('/api/')) {
+    handleApi(req, res, url).catch((error) => sendJson(res, 500, { message: error.message }));
+    return;
+  }
+  serveStatic(req, res, url);
+});
+
+server.listen(PORT, () => {
+  console.log(`Notification stand-in listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,192 @@
+/* global self, caches, fetch */
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `photoshare-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `photoshare-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `photoshare-images-${CACHE_VERSION}`;
+const SHARE_CACHE = 'photoshare-share-target';
+const IMAGE_CACHE_LIMIT = 200;
+const OUTBOX_SYNC_TAG = 'photoshare-outbox';
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'photo.html',
+  'profile.html',
+  'album.html',
+  'creator.html',
+  'login.html',
+  'signup.html',
+  'style.css',
+  'script.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = new Set([SHELL_CACHE, DATA_CACHE, IMAGE_CACHE, SHARE_CACHE]);
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('photoshare-') && !current.has(key))
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+function isPhotoDataRequest(url) {
+  return /\/api\/photos\/?$/.test(url.pathname) && !url.searchParams.has('status');
+}
+
+function isMapTileRequest(url) {
+  if (url.origin === self.location.origin) return false;
+  return /(^|\.)tiles?\./.test(url.hostname) || /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/.test(url.pathname);
+}
+
+function isCacheableResponse(response) {
+  return response.ok && (response.type === 'basic' || response.type === 'cors');
+}
+
+function isApiRequest(url) {
+  return /\/api\//.test(url.pathname);
+}
+
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
+
+async function staleWhileRevalidate(event, cacheName, { limit, ignoreSearch = false } = {}) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreSearch });
+  const network = fetch(event.request).then(async (response) => {
+    if (isCacheableResponse(response)) {
+      await cache.put(event.request, response.clone());
+      if (limit) await trimCache(cache, limit);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => null));
+    return cached;
+  }
+  return network;
+}
+
+async function networkFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) await cache.put(event.request, response.clone());
+    return response;
+  } catch (error) {
+    const cached =
+      (await cache.match(event.request, { ignoreSearch: true })) || (await cache.match('index.html'));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function invalidateDataAfter(request) {
+  const response = await fetch(request);
+  if (response.ok) await caches.delete(DATA_CACHE);
+  return response;
+}
+
+async function receiveShareTarget(request) {
+  const formData = await request.formData();
+  const files = formData
+    .getAll('photos')
+    .filter((file) => file instanceof File && file.type.startsWith('image/'));
+
+  await caches.delete(SHARE_CACHE);
+  const cache = await caches.open(SHARE_CACHE);
+  await Promise.all(
+    files.map((file, index) =>
+      cache.put(
+        `shared/${index}`,
+        new Response(file, {
+          headers: {
+            'Content-Type': file.type,
+            'X-File-Name': encodeURIComponent(file.name || `shared-photo-${index + 1}`),
+          },
+        }),
+      ),
+    ),
+  );
+  await cache.put(
+    'shared/meta',
+    new Response(
+      JSON.stringify({
+        title: formData.get('title') || '',
+        text: formData.get('text') || '',
+        url: formData.get('url') || '',
+      }),
+      { headers: { 'Content-Type': 'application/json' } },
+    ),
+  );
+  return Response.redirect(new URL('index.html', self.registration.scope).href, 303);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+    event.respondWith(receiveShareTarget(request));
+    return;
+  }
+
+  if (request.method !== 'GET') {
+    if (isApiRequest(url) && url.pathname.includes('/photos')) {
+      event.respondWith(invalidateDataAfter(request));
+    }
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, SHELL_CACHE));
+    return;
+  }
+
+  if (isApiRequest(url)) {
+    if (isPhotoDataRequest(url) && request.cache !== 'no-store') {
+      event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    }
+    return;
+  }
+
+  if (request.destination === 'image' && !isMapTileRequest(url)) {
+    event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, { limit: IMAGE_CACHE_LIMIT }));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, { ignoreSearch: true }));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'sync-outbox' }));
+    }),
+  );
+});